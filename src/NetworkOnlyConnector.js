@@ -1,35 +1,62 @@
 import { ethers } from 'ethers'
 import { Connectors } from 'web3-react'
 
-const { Connector } = Connectors
-
-function getFallbackProvider(providerURL) {
-  if (Number(process.env.REACT_APP_NETWORK_ID) === 1) {
-    const etherscan = new ethers.providers.EtherscanProvider()
-    const infura = new ethers.providers.JsonRpcProvider(providerURL)
+import FailoverProvider from './utils/failoverProvider'
 
-    const providers = [infura, etherscan]
+const { Connector } = Connectors
 
-    return new ethers.providers.FallbackProvider(providers)
-  } else {
-    const infura = new ethers.providers.JsonRpcProvider(providerURL)
+// networks ethers has default Infura and Etherscan endpoints for
+const STANDARD_NETWORK_IDS = [1, 3, 4, 42]
 
-    const providers = [infura]
+function getFailoverProvider(networkId, providerURLs, withDefaults = true) {
+  const endpoints = providerURLs.map(providerURL => {
+    const provider = new ethers.providers.JsonRpcProvider(providerURL, networkId)
+    return { name: provider.connection.url, provider }
+  })
 
-    return new ethers.providers.FallbackProvider(providers)
+  if (withDefaults && STANDARD_NETWORK_IDS.includes(networkId)) {
+    // configured endpoints come first, then the defaults as a last resort
+    if (endpoints.length === 0) {
+      const provider = new ethers.providers.InfuraProvider(networkId)
+      endpoints.push({ name: provider.connection.url, provider })
+    }
+    endpoints.push({ name: 'Etherscan', provider: new ethers.providers.EtherscanProvider(networkId) })
+  } else if (endpoints.length === 0) {
+    const provider = new ethers.providers.JsonRpcProvider('', networkId)
+    endpoints.push({ name: provider.connection.url, provider })
   }
+
+  return new FailoverProvider(endpoints, networkId)
 }
 
 export default class NetworkOnlyConnector extends Connector {
   constructor(kwargs) {
-    const { providerURL, ...rest } = kwargs || {}
+    const { networkId, providerURLs, customNetwork, ...rest } = kwargs || {}
     super(rest)
-    this.providerURL = providerURL
+    this.networkId = networkId
+    // keyed by network id
+    this.providerURLs = providerURLs || {}
+    // { chainId, url }, whose endpoint replaces any others for its chain, e.g. a local fork of a public network
+    this.customNetwork = customNetwork || null
+  }
+
+  // takes effect the next time the connector is activated
+  setNetworkId(networkId) {
+    if (networkId !== this.networkId) {
+      this.networkId = networkId
+      if (this.engine) {
+        this.engine.stopHealthChecks()
+        this.engine = null
+      }
+    }
   }
 
   async onActivation() {
     if (!this.engine) {
-      const provider = getFallbackProvider(this.providerURL)
+      const provider =
+        this.customNetwork && this.customNetwork.chainId === this.networkId
+          ? getFailoverProvider(this.networkId, [this.customNetwork.url], false)
+          : getFailoverProvider(this.networkId, this.providerURLs[this.networkId] || [])
       provider.polling = false
       provider.pollingInterval = 300000 // 5 minutes
       this.engine = provider
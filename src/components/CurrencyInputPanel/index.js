@@ -10,23 +10,31 @@ import { darken } from 'polished'
 import Tooltip from '@reach/tooltip'
 import '@reach/tooltip/styles.css'
 import { isMobile } from 'react-device-detect'
+import Toggle from 'react-switch'
 
 import { BorderlessInput } from '../../theme'
 import { useTokenContract } from '../../hooks'
-import { isAddress, calculateGasMargin, formatToUsd, formatTokenBalance, formatEthBalance } from '../../utils'
+import {
+  isAddress,
+  safeAccess,
+  calculateGasMargin,
+  formatToUsd,
+  formatTokenBalance,
+  formatEthBalance
+} from '../../utils'
 import { ReactComponent as DropDown } from '../../assets/images/dropdown.svg'
 import Modal from '../Modal'
 import TokenLogo from '../TokenLogo'
 import SearchIcon from '../../assets/images/magnifying-glass.svg'
 import { useTransactionAdder, usePendingApproval } from '../../contexts/Transactions'
-import { useTokenDetails, useAllTokenDetails } from '../../contexts/Tokens'
+import { useTokenDetails, useAllTokenDetails, useTokenLists, useCustomTokens } from '../../contexts/Tokens'
 import { ReactComponent as Close } from '../../assets/images/x.svg'
 import { transparentize } from 'polished'
 import { Spinner } from '../../theme'
 import Circle from '../../assets/images/circle-grey.svg'
 import { useUSDPrice } from '../../contexts/Application'
-
-const GAS_MARGIN = ethers.utils.bigNumberify(1000)
+import { DEFAULT_TOKEN_LIST_URL, APPROVAL_TYPES } from '../../constants'
+import { useUserSettingsManager, useApprovalTypeManager } from '../../contexts/LocalStorage'
 
 const SubCurrencySelect = styled.button`
   ${({ theme }) => theme.flexRowNoWrap}
@@ -44,6 +52,24 @@ const SubCurrencySelect = styled.button`
   color: ${({ theme }) => theme.royalBlue};
 `
 
+const ApprovalTypeToggle = styled.button`
+  margin-right: 0.5rem;
+  padding: 0;
+  border: none;
+  outline: none;
+  cursor: pointer;
+  user-select: none;
+  white-space: nowrap;
+  font-size: 0.75rem;
+  background: none;
+  color: ${({ theme }) => theme.doveGray};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => theme.royalBlue};
+  }
+`
+
 const InputRow = styled.div`
   ${({ theme }) => theme.flexRowNoWrap}
   align-items: center;
@@ -261,6 +287,63 @@ const StyledTokenName = styled.span`
   margin: 0 0.25rem 0 0.25rem;
 `
 
+const ModalFooter = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: center;
+  padding: 0.75rem;
+  border-top: 1px solid ${({ theme }) => theme.mercuryGray};
+`
+
+const TextButton = styled.button`
+  border: none;
+  outline: none;
+  padding: 0;
+  background: none;
+  cursor: pointer;
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+  }
+
+  :disabled {
+    color: ${({ theme }) => theme.chaliceGray};
+    cursor: auto;
+  }
+`
+
+const UnverifiedBadge = styled.span`
+  margin-left: 0.5rem;
+  padding: 0.125rem 0.375rem;
+  border-radius: 0.5rem;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.salmonRed};
+  border: 1px solid ${({ theme }) => theme.salmonRed};
+`
+
+const TokenListRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  justify-content: space-between;
+  padding: 1rem 1.5rem;
+`
+
+const TokenListActions = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+
+  button {
+    margin-right: 1rem;
+  }
+`
+
+const TokenListError = styled.div`
+  color: ${({ theme }) => theme.salmonRed};
+  word-break: break-word;
+`
+
 const SpinnerWrapper = styled(Spinner)`
   margin: 0 0.25rem 0 0.25rem;
   color: ${({ theme }) => theme.chaliceGray};
@@ -281,6 +364,7 @@ export default function CurrencyInputPanel({
   disableTokenSelect,
   selectedTokenAddress = '',
   showUnlock,
+  unlockAmount,
   value
 }) {
   const { t } = useTranslation()
@@ -294,6 +378,12 @@ export default function CurrencyInputPanel({
 
   const addTransaction = useTransactionAdder()
 
+  const [{ gasMargin }] = useUserSettingsManager()
+
+  const { networkId } = useWeb3Context()
+  const [approvalTypes, { setApprovalType }] = useApprovalTypeManager()
+  const approvalType = safeAccess(approvalTypes, [networkId, selectedTokenAddress]) || APPROVAL_TYPES.UNLIMITED
+
   const allTokens = useAllTokenDetails()
 
   function renderUnlockButton() {
@@ -301,24 +391,38 @@ export default function CurrencyInputPanel({
       return null
     } else {
       if (!pendingApproval) {
+        // exact approvals need to know how much the trade will spend
+        const approvalAmount = approvalType === APPROVAL_TYPES.EXACT ? unlockAmount : ethers.constants.MaxUint256
         return (
-          <SubCurrencySelect
-            onClick={async () => {
-              const estimatedGas = await tokenContract.estimate.approve(
-                selectedTokenExchangeAddress,
-                ethers.constants.MaxUint256
-              )
-              tokenContract
-                .approve(selectedTokenExchangeAddress, ethers.constants.MaxUint256, {
-                  gasLimit: calculateGasMargin(estimatedGas, GAS_MARGIN)
-                })
-                .then(response => {
-                  addTransaction(response, { approval: selectedTokenAddress })
-                })
-            }}
-          >
-            {t('unlock')}
-          </SubCurrencySelect>
+          <>
+            <ApprovalTypeToggle
+              title={t('approvalTypeDescription')}
+              onClick={() => {
+                setApprovalType(
+                  networkId,
+                  selectedTokenAddress,
+                  approvalType === APPROVAL_TYPES.EXACT ? APPROVAL_TYPES.UNLIMITED : APPROVAL_TYPES.EXACT
+                )
+              }}
+            >
+              {approvalType === APPROVAL_TYPES.EXACT ? t('approveExact') : t('approveUnlimited')}
+            </ApprovalTypeToggle>
+            <SubCurrencySelect
+              disabled={!approvalAmount}
+              onClick={async () => {
+                const estimatedGas = await tokenContract.estimate.approve(selectedTokenExchangeAddress, approvalAmount)
+                tokenContract
+                  .approve(selectedTokenExchangeAddress, approvalAmount, {
+                    gasLimit: calculateGasMargin(estimatedGas, ethers.utils.bigNumberify(gasMargin))
+                  })
+                  .then(response => {
+                    addTransaction(response, { approval: selectedTokenAddress })
+                  })
+              }}
+            >
+              {t('unlock')}
+            </SubCurrencySelect>
+          </>
         )
       } else {
         return <SubCurrencySelect>{t('pending')}</SubCurrencySelect>
@@ -427,6 +531,10 @@ function CurrencySelectModal({ isOpen, onDismiss, onTokenSelect, allBalances })
   const [searchQuery, setSearchQuery] = useState('')
   const { exchangeAddress } = useTokenDetails(searchQuery)
 
+  const [showTokenLists, setShowTokenLists] = useState(false)
+
+  const { addToken, removeToken } = useCustomTokens()
+
   const allTokens = useAllTokenDetails()
 
   const { account } = useWeb3Context()
@@ -500,7 +608,9 @@ function CurrencySelectModal({ isOpen, onDismiss, onTokenSelect, allBalances })
           symbol: allTokens[k].symbol,
           address: k,
           balance: balance,
-          usdBalance: usdBalance
+          usdBalance: usdBalance,
+          listed: allTokens[k].listed,
+          custom: allTokens[k].custom
         }
       })
   }, [allBalances, allTokens, usdAmounts])
@@ -543,14 +653,34 @@ function CurrencySelectModal({ isOpen, onDismiss, onTokenSelect, allBalances })
       return <TokenModalInfo>{t('noExchange')}</TokenModalInfo>
     }
 
-    return filteredTokenList.map(({ address, symbol, name, balance, usdBalance }) => {
+    return filteredTokenList.map(({ address, symbol, name, balance, usdBalance, listed, custom }) => {
       return (
         <TokenModalRow key={address} onClick={() => _onTokenSelect(address)}>
           <TokenRowLeft>
             <TokenLogo address={address} size={'2rem'} />
             <TokenSymbolGroup>
-              <span id="symbol">{symbol}</span>
+              <span id="symbol">
+                {symbol}
+                {!listed && <UnverifiedBadge title={t('unverifiedTokenWarning')}>{t('unverified')}</UnverifiedBadge>}
+              </span>
               <TokenFullName>{name}</TokenFullName>
+              {!listed && (
+                <TokenListActions>
+                  <TextButton
+                    onClick={event => {
+                      // don't select the token as well
+                      event.stopPropagation()
+                      if (custom) {
+                        removeToken(address)
+                      } else {
+                        addToken(address, name, symbol, allTokens[address].decimals)
+                      }
+                    }}
+                  >
+                    {custom ? t('removeToken') : t('addToken')}
+                  </TextButton>
+                </TokenListActions>
+              )}
             </TokenSymbolGroup>
           </TokenRowLeft>
           <TokenRowRight>
@@ -581,6 +711,7 @@ function CurrencySelectModal({ isOpen, onDismiss, onTokenSelect, allBalances })
 
   function clearInputAndDismiss() {
     setSearchQuery('')
+    setShowTokenLists(false)
     onDismiss()
   }
 
@@ -593,22 +724,86 @@ function CurrencySelectModal({ isOpen, onDismiss, onTokenSelect, allBalances })
     >
       <TokenModal>
         <ModalHeader>
-          <p>Select Token</p>
+          <p>{showTokenLists ? t('manageTokenLists') : 'Select Token'}</p>
           <CloseIcon onClick={clearInputAndDismiss}>
             <CloseColor alt={'close icon'} />
           </CloseIcon>
         </ModalHeader>
-        <SearchContainer>
-          <img src={SearchIcon} alt="search" />
-          <StyledBorderlessInput
-            ref={inputRef}
-            type="text"
-            placeholder={isMobile ? t('searchOrPasteMobile') : t('searchOrPaste')}
-            onChange={onInput}
-          />
-        </SearchContainer>
-        <TokenList>{renderTokenList()}</TokenList>
+        {showTokenLists ? (
+          <TokenListManager />
+        ) : (
+          <>
+            <SearchContainer>
+              <img src={SearchIcon} alt="search" />
+              <StyledBorderlessInput
+                ref={inputRef}
+                type="text"
+                placeholder={isMobile ? t('searchOrPasteMobile') : t('searchOrPaste')}
+                onChange={onInput}
+              />
+            </SearchContainer>
+            <TokenList>{renderTokenList()}</TokenList>
+          </>
+        )}
+        <ModalFooter>
+          <TextButton onClick={() => setShowTokenLists(!showTokenLists)}>
+            {showTokenLists ? t('backToTokens') : t('manageTokenLists')}
+          </TextButton>
+        </ModalFooter>
       </TokenModal>
     </Modal>
   )
 }
+
+function TokenListManager() {
+  const { t } = useTranslation()
+
+  const [lists, { toggleTokenList, addTokenList, removeTokenList }] = useTokenLists()
+
+  const [listUrl, setListUrl] = useState('')
+  const listUrlValid = /^(https?:\/\/|\/)\S+$/.test(listUrl) && !lists.some(({ url }) => url === listUrl)
+
+  return (
+    <>
+      <SearchContainer>
+        <StyledBorderlessInput
+          type="text"
+          placeholder={t('tokenListUrl')}
+          value={listUrl}
+          onChange={event => setListUrl(event.target.value.trim())}
+        />
+        <TextButton
+          disabled={!listUrlValid}
+          onClick={() => {
+            addTokenList(listUrl)
+            setListUrl('')
+          }}
+        >
+          {t('add')}
+        </TextButton>
+      </SearchContainer>
+      <TokenList>
+        {lists.map(({ url, name, enabled, tokenCount, loading, error }) => (
+          <TokenListRow key={url}>
+            <TokenSymbolGroup>
+              <span>{name}</span>
+              {error ? (
+                <TokenListError>{error}</TokenListError>
+              ) : (
+                <TokenFullName>
+                  {loading ? t('loading') : t('tokenCount', { tokenCount: tokenCount || 0 })}
+                </TokenFullName>
+              )}
+            </TokenSymbolGroup>
+            <TokenListActions>
+              {url !== DEFAULT_TOKEN_LIST_URL && (
+                <TextButton onClick={() => removeTokenList(url)}>{t('remove')}</TextButton>
+              )}
+              <Toggle checked={!!enabled} onChange={() => toggleTokenList(url)} />
+            </TokenListActions>
+          </TokenListRow>
+        ))}
+      </TokenList>
+    </>
+  )
+}
@@ -13,14 +13,27 @@ import CurrencyInputPanel from '../CurrencyInputPanel'
 import AddressInputPanel from '../AddressInputPanel'
 import OversizedPanel from '../OversizedPanel'
 import TransactionDetails from '../TransactionDetails'
+import SplitOrderPanel from '../SplitOrderPanel'
+import LimitOrderPanel from '../LimitOrderPanel'
+import PriceChart from '../PriceChart'
+import TransactionPreviewModal from '../TransactionPreviewModal'
 import ArrowDown from '../../assets/svg/SVGArrowDown'
 import { amountFormatter, calculateGasMargin } from '../../utils'
+import { simulateContractCall } from '../../utils/simulation'
+import {
+  calculateEtherTokenOutputFromInput,
+  calculateEtherTokenInputFromOutput,
+  getDirectPath,
+  getDirectTrade
+} from '../../utils/routing'
+import { PRICE_IMPACT_TIERS, getPriceImpact, getPriceImpactTier } from '../../utils/priceImpact'
 import { useExchangeContract } from '../../hooks'
 import { useTokenDetails } from '../../contexts/Tokens'
 import { useTransactionAdder } from '../../contexts/Transactions'
 import { useAddressBalance, useExchangeReserves } from '../../contexts/Balances'
 import { useFetchAllBalances } from '../../contexts/AllBalances'
-import { useAddressAllowance } from '../../contexts/Allowances'
+import { useApprovalRequired } from '../../contexts/Allowances'
+import { useUserSettingsManager } from '../../contexts/LocalStorage'
 
 const INPUT = 0
 const OUTPUT = 1
@@ -29,15 +42,7 @@ const ETH_TO_TOKEN = 0
 const TOKEN_TO_ETH = 1
 const TOKEN_TO_TOKEN = 2
 
-// denominated in bips
-const ALLOWED_SLIPPAGE_DEFAULT = 100
-const TOKEN_ALLOWED_SLIPPAGE_DEFAULT = 100
-
-// 15 minutes, denominated in seconds
-const DEADLINE_FROM_NOW = 60 * 15
-
-// % above the calculated gas cost that we actually send, denominated in bips
-const GAS_MARGIN = ethers.utils.bigNumberify(1000)
+const CONFIRMATION_TEXT = 'confirm'
 
 const DownArrowBackground = styled.div`
   ${({ theme }) => theme.flexRowNoWrap}
@@ -69,6 +74,29 @@ const ExchangeRate = styled.span`
   color: ${({ theme }) => theme.doveGray};
 `
 
+const ConfirmationWrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  align-items: center;
+  padding: 2rem 2rem 0 2rem;
+  font-size: 0.75rem;
+  text-align: center;
+  color: ${({ theme }) => theme.salmonRed};
+`
+
+const ConfirmationInput = styled.input`
+  width: 100%;
+  max-width: 20rem;
+  margin-top: 0.75rem;
+  padding: 0.75rem 1rem;
+  border-radius: 2rem;
+  border: 1px solid ${({ theme }) => theme.salmonRed};
+  outline: none;
+  font-size: 1rem;
+  text-align: center;
+  background-color: ${({ theme }) => theme.inputBackground};
+  color: ${({ theme }) => theme.textColor};
+`
+
 const Flex = styled.div`
   display: flex;
   justify-content: center;
@@ -105,21 +133,6 @@ function getSwapType(inputCurrency, outputCurrency) {
   }
 }
 
-// this mocks the getInputPrice function, and calculates the required output
-function calculateEtherTokenOutputFromInput(inputAmount, inputReserve, outputReserve) {
-  const inputAmountWithFee = inputAmount.mul(ethers.utils.bigNumberify(997))
-  const numerator = inputAmountWithFee.mul(outputReserve)
-  const denominator = inputReserve.mul(ethers.utils.bigNumberify(1000)).add(inputAmountWithFee)
-  return numerator.div(denominator)
-}
-
-// this mocks the getOutputPrice function, and calculates the required input
-function calculateEtherTokenInputFromOutput(outputAmount, inputReserve, outputReserve) {
-  const numerator = inputReserve.mul(outputAmount).mul(ethers.utils.bigNumberify(1000))
-  const denominator = outputReserve.sub(outputAmount).mul(ethers.utils.bigNumberify(997))
-  return numerator.div(denominator).add(ethers.constants.One)
-}
-
 function getInitialSwapState(state) {
   return {
     independentValue: state.exactFieldURL && state.exactAmountURL ? state.exactAmountURL : '', // this is a user input
@@ -244,20 +257,73 @@ function getMarketRate(
   }
 }
 
+// returns the amounts and reserves of each exchange a swap trades in, in order
+function getSwapHops(
+  swapType,
+  inputValue,
+  outputValue,
+  inputReserveETH,
+  inputReserveToken,
+  outputReserveETH,
+  outputReserveToken
+) {
+  if (swapType === ETH_TO_TOKEN) {
+    return [
+      {
+        inputAmount: inputValue,
+        outputAmount: outputValue,
+        inputReserve: outputReserveETH,
+        outputReserve: outputReserveToken
+      }
+    ]
+  } else if (swapType === TOKEN_TO_ETH) {
+    return [
+      {
+        inputAmount: inputValue,
+        outputAmount: outputValue,
+        inputReserve: inputReserveToken,
+        outputReserve: inputReserveETH
+      }
+    ]
+  } else if (swapType === TOKEN_TO_TOKEN) {
+    // the ETH passed between the exchanges isn't part of the trade, so it's recalculated from the input
+    const intermediateValue =
+      inputValue && inputReserveToken && inputReserveETH
+        ? calculateEtherTokenOutputFromInput(inputValue, inputReserveToken, inputReserveETH)
+        : undefined
+    return [
+      {
+        inputAmount: inputValue,
+        outputAmount: intermediateValue,
+        inputReserve: inputReserveToken,
+        outputReserve: inputReserveETH
+      },
+      {
+        inputAmount: intermediateValue,
+        outputAmount: outputValue,
+        inputReserve: outputReserveETH,
+        outputReserve: outputReserveToken
+      }
+    ]
+  }
+  return []
+}
+
 export default function ExchangePage({ initialCurrency, sending = false, params }) {
   const { t } = useTranslation()
   const { account } = useWeb3Context()
 
   const addTransaction = useTransactionAdder()
 
-  // check if URL specifies valid slippage, if so use as default
-  const initialSlippage = (token = false) => {
+  const [{ slippage: defaultSlippage, deadline: deadlineFromNow, gasMargin }] = useUserSettingsManager()
+
+  // check if URL specifies valid slippage, if so use it instead of the one in the settings
+  const initialSlippage = () => {
     let slippage = Number.parseInt(params.slippage)
     if (!isNaN(slippage) && (slippage === 0 || slippage >= 1)) {
       return slippage // round to match custom input availability
     }
-    // check for token <-> token slippage option
-    return token ? TOKEN_ALLOWED_SLIPPAGE_DEFAULT : ALLOWED_SLIPPAGE_DEFAULT
+    return undefined
   }
 
   // check URL params for recipient, only on send page
@@ -268,8 +334,11 @@ export default function ExchangePage({ initialCurrency, sending = false, params
     return ''
   }
 
-  const [rawSlippage, setRawSlippage] = useState(() => initialSlippage())
-  const [rawTokenSlippage, setRawTokenSlippage] = useState(() => initialSlippage(true))
+  // slippage picked in the URL or the transaction details, until then the one in the settings is used
+  const [pickedSlippage, setRawSlippage] = useState(() => initialSlippage())
+  const [pickedTokenSlippage, setRawTokenSlippage] = useState(() => initialSlippage())
+  const rawSlippage = pickedSlippage === undefined ? defaultSlippage : pickedSlippage
+  const rawTokenSlippage = pickedTokenSlippage === undefined ? defaultSlippage : pickedTokenSlippage
 
   const allowedSlippageBig = ethers.utils.bigNumberify(rawSlippage)
   const tokenAllowedSlippageBig = ethers.utils.bigNumberify(rawTokenSlippage)
@@ -312,9 +381,6 @@ export default function ExchangePage({ initialCurrency, sending = false, params
   const outputExchangeContract = useExchangeContract(outputExchangeAddress)
   const contract = swapType === ETH_TO_TOKEN ? outputExchangeContract : inputExchangeContract
 
-  // get input allowance
-  const inputAllowance = useAddressAllowance(account, inputCurrency, inputExchangeAddress)
-
   // fetch reserves for each of the currency types
   const { reserveETH: inputReserveETH, reserveToken: inputReserveToken } = useExchangeReserves(inputCurrency)
   const { reserveETH: outputReserveETH, reserveToken: outputReserveToken } = useExchangeReserves(outputCurrency)
@@ -376,14 +442,15 @@ export default function ExchangePage({ initialCurrency, sending = false, params
   )
 
   // validate input allowance + balance
+  const inputValueCalculation = independentField === INPUT ? independentValueParsed : dependentValueMaximum
+  const approvalRequired = useApprovalRequired(account, inputCurrency, inputExchangeAddress, inputValueCalculation)
   const [inputError, setInputError] = useState()
   const [showUnlock, setShowUnlock] = useState(false)
   useEffect(() => {
-    const inputValueCalculation = independentField === INPUT ? independentValueParsed : dependentValueMaximum
-    if (inputBalance && (inputAllowance || inputCurrency === 'ETH') && inputValueCalculation) {
+    if (inputBalance && approvalRequired !== undefined && inputValueCalculation) {
       if (inputBalance.lt(inputValueCalculation)) {
         setInputError(t('insufficientBalance'))
-      } else if (inputCurrency !== 'ETH' && inputAllowance.lt(inputValueCalculation)) {
+      } else if (approvalRequired) {
         setInputError(t('unlockTokenCont'))
         setShowUnlock(true)
       } else {
@@ -395,7 +462,7 @@ export default function ExchangePage({ initialCurrency, sending = false, params
         setShowUnlock(false)
       }
     }
-  }, [independentField, independentValueParsed, dependentValueMaximum, inputBalance, inputCurrency, inputAllowance, t])
+  }, [inputValueCalculation, inputBalance, approvalRequired, t])
 
   // calculate dependent value
   useEffect(() => {
@@ -523,21 +590,31 @@ export default function ExchangePage({ initialCurrency, sending = false, params
     outputDecimals
   )
 
-  const percentSlippage =
-    exchangeRate && marketRate
-      ? exchangeRate
-          .sub(marketRate)
-          .abs()
-          .mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18)))
-          .div(marketRate)
-          .sub(ethers.utils.bigNumberify(3).mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(15))))
-      : undefined
-  const percentSlippageFormatted = percentSlippage && amountFormatter(percentSlippage, 16, 2)
-  const slippageWarning =
-    percentSlippage &&
-    percentSlippage.gte(ethers.utils.parseEther('.05')) &&
-    percentSlippage.lt(ethers.utils.parseEther('.2')) // [5% - 20%)
-  const highSlippageWarning = percentSlippage && percentSlippage.gte(ethers.utils.parseEther('.2')) // [20+%
+  const { hopImpacts, priceImpact } =
+    getPriceImpact(
+      getSwapHops(
+        swapType,
+        inputValueParsed,
+        outputValueParsed,
+        inputReserveETH,
+        inputReserveToken,
+        outputReserveETH,
+        outputReserveToken
+      )
+    ) || {}
+  const priceImpactTier = getPriceImpactTier(priceImpact)
+  const priceImpactFormatted = priceImpact && amountFormatter(priceImpact, 16, 2)
+  const hopImpactsFormatted = hopImpacts && hopImpacts.map(hopImpact => amountFormatter(hopImpact, 16, 2))
+
+  const slippageWarning = priceImpactTier === PRICE_IMPACT_TIERS.HIGH
+  const highSlippageWarning = priceImpactTier === PRICE_IMPACT_TIERS.SEVERE
+
+  // severe price impact swaps have to be confirmed by typing out CONFIRMATION_TEXT, for each new swap
+  const [confirmationInput, setConfirmationInput] = useState('')
+  useEffect(() => {
+    setConfirmationInput('')
+  }, [independentValue, independentField, inputCurrency, outputCurrency])
+  const confirmed = !highSlippageWarning || confirmationInput.trim().toLowerCase() === CONFIRMATION_TEXT
 
   const isValid = sending
     ? exchangeRate && inputError === null && independentError === null && recipientError === null
@@ -548,82 +625,159 @@ export default function ExchangePage({ initialCurrency, sending = false, params
     return `Balance: ${value}`
   }
 
-  async function onSwap() {
-    const deadline = Math.ceil(Date.now() / 1000) + DEADLINE_FROM_NOW
+  // the exchange method, arguments and value for a swap of amount in the independent field, bounded by
+  // dependentValueBound in the dependent field
+  function getSwapCall(amount, dependentValueBound) {
+    const deadline = Math.ceil(Date.now() / 1000) + deadlineFromNow
 
-    let estimate, method, args, value
     if (independentField === INPUT) {
-      ReactGA.event({
-        category: `${swapType}`,
-        action: sending ? 'TransferInput' : 'SwapInput'
-      })
-
       if (swapType === ETH_TO_TOKEN) {
-        estimate = sending ? contract.estimate.ethToTokenTransferInput : contract.estimate.ethToTokenSwapInput
-        method = sending ? contract.ethToTokenTransferInput : contract.ethToTokenSwapInput
-        args = sending ? [dependentValueMinumum, deadline, recipient.address] : [dependentValueMinumum, deadline]
-        value = independentValueParsed
+        return {
+          methodName: sending ? 'ethToTokenTransferInput' : 'ethToTokenSwapInput',
+          args: sending ? [dependentValueBound, deadline, recipient.address] : [dependentValueBound, deadline],
+          value: amount
+        }
       } else if (swapType === TOKEN_TO_ETH) {
-        estimate = sending ? contract.estimate.tokenToEthTransferInput : contract.estimate.tokenToEthSwapInput
-        method = sending ? contract.tokenToEthTransferInput : contract.tokenToEthSwapInput
-        args = sending
-          ? [independentValueParsed, dependentValueMinumum, deadline, recipient.address]
-          : [independentValueParsed, dependentValueMinumum, deadline]
-        value = ethers.constants.Zero
+        return {
+          methodName: sending ? 'tokenToEthTransferInput' : 'tokenToEthSwapInput',
+          args: sending
+            ? [amount, dependentValueBound, deadline, recipient.address]
+            : [amount, dependentValueBound, deadline],
+          value: ethers.constants.Zero
+        }
       } else if (swapType === TOKEN_TO_TOKEN) {
-        estimate = sending ? contract.estimate.tokenToTokenTransferInput : contract.estimate.tokenToTokenSwapInput
-        method = sending ? contract.tokenToTokenTransferInput : contract.tokenToTokenSwapInput
-        args = sending
-          ? [
-              independentValueParsed,
-              dependentValueMinumum,
-              ethers.constants.One,
-              deadline,
-              recipient.address,
-              outputCurrency
-            ]
-          : [independentValueParsed, dependentValueMinumum, ethers.constants.One, deadline, outputCurrency]
-        value = ethers.constants.Zero
+        return {
+          methodName: sending ? 'tokenToTokenTransferInput' : 'tokenToTokenSwapInput',
+          args: sending
+            ? [amount, dependentValueBound, ethers.constants.One, deadline, recipient.address, outputCurrency]
+            : [amount, dependentValueBound, ethers.constants.One, deadline, outputCurrency],
+          value: ethers.constants.Zero
+        }
       }
+    } else if (independentField === OUTPUT) {
+      if (swapType === ETH_TO_TOKEN) {
+        return {
+          methodName: sending ? 'ethToTokenTransferOutput' : 'ethToTokenSwapOutput',
+          args: sending ? [amount, deadline, recipient.address] : [amount, deadline],
+          value: dependentValueBound
+        }
+      } else if (swapType === TOKEN_TO_ETH) {
+        return {
+          methodName: sending ? 'tokenToEthTransferOutput' : 'tokenToEthSwapOutput',
+          args: sending
+            ? [amount, dependentValueBound, deadline, recipient.address]
+            : [amount, dependentValueBound, deadline],
+          value: ethers.constants.Zero
+        }
+      } else if (swapType === TOKEN_TO_TOKEN) {
+        return {
+          methodName: sending ? 'tokenToTokenTransferOutput' : 'tokenToTokenSwapOutput',
+          args: sending
+            ? [amount, dependentValueBound, ethers.constants.MaxUint256, deadline, recipient.address, outputCurrency]
+            : [amount, dependentValueBound, ethers.constants.MaxUint256, deadline, outputCurrency],
+          value: ethers.constants.Zero
+        }
+      }
+    }
+  }
+
+  async function submitSwap({ methodName, args, value }, customData) {
+    const estimatedGasLimit = await contract.estimate[methodName](...args, { value })
+    return contract[methodName](...args, {
+      value,
+      gasLimit: calculateGasMargin(estimatedGasLimit, ethers.utils.bigNumberify(gasMargin))
+    }).then(response => {
+      addTransaction(response, customData)
+      return response
+    })
+  }
+
+  // swaps are simulated and previewed before they're sent, along with the amount in the independent field
+  const [previewCall, setPreviewCall] = useState(null)
+
+  function onSwap() {
+    if (!confirmed) {
+      return
+    }
+
+    if (independentField === INPUT) {
+      ReactGA.event({
+        category: `${swapType}`,
+        action: sending ? 'TransferInput' : 'SwapInput'
+      })
+      setPreviewCall({ ...getSwapCall(independentValueParsed, dependentValueMinumum), amount: independentValueParsed })
     } else if (independentField === OUTPUT) {
       ReactGA.event({
         category: `${swapType}`,
         action: sending ? 'TransferOutput' : 'SwapOutput'
       })
+      setPreviewCall({ ...getSwapCall(independentValueParsed, dependentValueMaximum), amount: independentValueParsed })
+    }
+  }
 
-      if (swapType === ETH_TO_TOKEN) {
-        estimate = sending ? contract.estimate.ethToTokenTransferOutput : contract.estimate.ethToTokenSwapOutput
-        method = sending ? contract.ethToTokenTransferOutput : contract.ethToTokenSwapOutput
-        args = sending ? [independentValueParsed, deadline, recipient.address] : [independentValueParsed, deadline]
-        value = dependentValueMaximum
-      } else if (swapType === TOKEN_TO_ETH) {
-        estimate = sending ? contract.estimate.tokenToEthTransferOutput : contract.estimate.tokenToEthSwapOutput
-        method = sending ? contract.tokenToEthTransferOutput : contract.tokenToEthSwapOutput
-        args = sending
-          ? [independentValueParsed, dependentValueMaximum, deadline, recipient.address]
-          : [independentValueParsed, dependentValueMaximum, deadline]
-        value = ethers.constants.Zero
-      } else if (swapType === TOKEN_TO_TOKEN) {
-        estimate = sending ? contract.estimate.tokenToTokenTransferOutput : contract.estimate.tokenToTokenSwapOutput
-        method = sending ? contract.tokenToTokenTransferOutput : contract.tokenToTokenSwapOutput
-        args = sending
-          ? [
-              independentValueParsed,
-              dependentValueMaximum,
-              ethers.constants.MaxUint256,
-              deadline,
-              recipient.address,
-              outputCurrency
-            ]
-          : [independentValueParsed, dependentValueMaximum, ethers.constants.MaxUint256, deadline, outputCurrency]
-        value = ethers.constants.Zero
+  // every swap method returns the amount it bought or sold in the dependent field
+  function getSwapOutcome([dependentAmount], { amount }) {
+    const [inputAmount, outputAmount] =
+      independentField === INPUT ? [amount, dependentAmount] : [dependentAmount, amount]
+    const outcome = [
+      {
+        label: t('youPay'),
+        value: `${amountFormatter(inputAmount, inputDecimals, Math.min(4, inputDecimals))} ${inputSymbol}`
+      },
+      {
+        label: sending ? t('recipientReceives') : t('youReceive'),
+        value: `${amountFormatter(outputAmount, outputDecimals, Math.min(4, outputDecimals))} ${outputSymbol}`
       }
+    ]
+    return sending ? [...outcome, { label: t('recipient'), value: recipient.address }] : outcome
+  }
+
+  // each leg of a split order is priced against the reserves at the time it's sent
+  function getSplitLegCall(amount) {
+    const reserves = {
+      [inputCurrency]: { reserveETH: inputReserveETH, reserveToken: inputReserveToken },
+      [outputCurrency]: { reserveETH: outputReserveETH, reserveToken: outputReserveToken }
+    }
+    const trade = getDirectTrade(inputCurrency, outputCurrency, amount, independentField === INPUT, reserves)
+    if (!trade) {
+      throw Error('Insufficient liquidity for split order leg.')
+    }
+
+    const { minimum, maximum } = calculateSlippageBounds(
+      independentField === INPUT ? trade.outputAmount : trade.inputAmount,
+      swapType === TOKEN_TO_TOKEN,
+      tokenAllowedSlippageBig,
+      allowedSlippageBig
+    )
+    return getSwapCall(amount, independentField === INPUT ? minimum : maximum)
+  }
+
+  // split orders are confirmed like any other swap, with the first leg previewed before the order starts
+  const [splitOrderPreview, setSplitOrderPreview] = useState(null)
+
+  function onReviewSplitOrder(firstLegAmount, start) {
+    if (!confirmed) {
+      return
+    }
+
+    // throws when the leg can't be priced, e.g. for lack of liquidity, for the panel to show
+    setSplitOrderPreview({ call: { ...getSplitLegCall(firstLegAmount), amount: firstLegAmount }, start })
+  }
+
+  // later legs aren't previewed, so they're simulated before they're sent and stop the order if they'd revert
+  async function onSubmitSplitLeg(amount, customData) {
+    const call = getSplitLegCall(amount)
+    const { reason } = await simulateContractCall(contract, account, call.methodName, call.args, call.value)
+    if (reason !== undefined) {
+      throw Error(reason || 'Split order leg would fail.')
     }
 
-    const estimatedGasLimit = await estimate(...args, { value })
-    method(...args, { value, gasLimit: calculateGasMargin(estimatedGasLimit, GAS_MARGIN) }).then(response => {
-      addTransaction(response)
+    ReactGA.event({
+      category: `${swapType}`,
+      action: 'SplitOrderLeg'
     })
+
+    return submitSwap(call, customData)
   }
 
   const [customSlippageError, setcustomSlippageError] = useState('')
@@ -655,6 +809,7 @@ export default function ExchangePage({ initialCurrency, sending = false, params
           dispatchSwapState({ type: 'UPDATE_INDEPENDENT', payload: { value: inputValue, field: INPUT } })
         }}
         showUnlock={showUnlock}
+        unlockAmount={inputValueCalculation}
         selectedTokens={[inputCurrency, outputCurrency]}
         selectedTokenAddress={inputCurrency}
         value={inputValueFormatted}
@@ -722,6 +877,9 @@ export default function ExchangePage({ initialCurrency, sending = false, params
             </span>
           )}
         </ExchangeRateWrapper>
+        {inputCurrency && outputCurrency && inputCurrency !== outputCurrency && (
+          <PriceChart inputCurrency={inputCurrency} outputCurrency={outputCurrency} />
+        )}
       </OversizedPanel>
       <TransactionDetails
         account={account}
@@ -746,14 +904,74 @@ export default function ExchangePage({ initialCurrency, sending = false, params
         dependentValueMaximum={dependentValueMaximum}
         dependentDecimals={dependentDecimals}
         independentDecimals={independentDecimals}
-        percentSlippageFormatted={percentSlippageFormatted}
+        priceImpactFormatted={priceImpactFormatted}
+        hopImpactsFormatted={hopImpactsFormatted}
+        priceImpactTier={priceImpactTier}
+        route={swapType === TOKEN_TO_TOKEN && dependentValue ? getDirectPath(inputCurrency, outputCurrency) : undefined}
         setcustomSlippageError={setcustomSlippageError}
         recipientAddress={recipient.address}
         sending={sending}
       />
+      <SplitOrderPanel
+        available={(slippageWarning || highSlippageWarning) && isValid && customSlippageError !== 'invalid'}
+        amount={independentValueParsed}
+        exactInput={independentField === INPUT}
+        inputCurrency={inputCurrency}
+        outputCurrency={outputCurrency}
+        inputExchangeAddress={inputExchangeAddress}
+        outputExchangeAddress={outputExchangeAddress}
+        inputSymbol={inputSymbol}
+        outputSymbol={outputSymbol}
+        inputDecimals={inputDecimals}
+        outputDecimals={outputDecimals}
+        marketRate={marketRate}
+        allowedSlippage={swapType === TOKEN_TO_TOKEN ? tokenAllowedSlippageBig : allowedSlippageBig}
+        confirmed={confirmed}
+        onReview={onReviewSplitOrder}
+        onSubmitLeg={onSubmitSplitLeg}
+      />
+      {!sending && (
+        <LimitOrderPanel
+          available={isValid && customSlippageError !== 'invalid'}
+          amount={inputValueParsed}
+          inputCurrency={inputCurrency}
+          outputCurrency={outputCurrency}
+          inputSymbol={inputSymbol}
+          outputSymbol={outputSymbol}
+          inputDecimals={inputDecimals}
+          outputDecimals={outputDecimals}
+          exchangeRate={exchangeRate}
+        />
+      )}
+      {highSlippageWarning && isValid && (
+        <ConfirmationWrapper>
+          {t('severePriceImpactConfirmation', { confirmation: CONFIRMATION_TEXT })}
+          <ConfirmationInput
+            value={confirmationInput}
+            placeholder={CONFIRMATION_TEXT}
+            onChange={event => setConfirmationInput(event.target.value)}
+          />
+        </ConfirmationWrapper>
+      )}
+      <TransactionPreviewModal
+        title={sending ? t('reviewSend') : t('reviewSwap')}
+        contract={contract}
+        call={previewCall}
+        getOutcome={getSwapOutcome}
+        onConfirm={submitSwap}
+        onDismiss={() => setPreviewCall(null)}
+      />
+      <TransactionPreviewModal
+        title={t('reviewSplitOrder')}
+        contract={contract}
+        call={splitOrderPreview && splitOrderPreview.call}
+        getOutcome={getSwapOutcome}
+        onConfirm={() => splitOrderPreview.start()}
+        onDismiss={() => setSplitOrderPreview(null)}
+      />
       <Flex>
         <Button
-          disabled={!isValid || customSlippageError === 'invalid'}
+          disabled={!isValid || customSlippageError === 'invalid' || !confirmed}
           onClick={onSwap}
           warning={highSlippageWarning || customSlippageError === 'warning'}
         >
@@ -4,6 +4,7 @@ import { darken, transparentize } from 'polished'
 import Toggle from 'react-switch'
 
 import { Link } from '../../theme'
+import RpcStatus from '../RpcStatus'
 import { useDarkModeManager } from '../../contexts/LocalStorage'
 
 const FooterFrame = styled.div`
@@ -87,6 +88,7 @@ export default function Footer() {
             <h1 id="title">Code</h1>
           </Link>
         </Title>
+        <RpcStatus />
       </FooterElement>
 
       <StyledToggle
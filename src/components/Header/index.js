@@ -1,8 +1,11 @@
-import React from 'react'
+import React, { useState } from 'react'
 import styled from 'styled-components'
+import { Settings } from 'react-feather'
 
 import { Link } from '../../theme'
 import Web3Status from '../Web3Status'
+import SettingsModal from '../SettingsModal'
+import NetworkSwitcher from '../NetworkSwitcher'
 import { darken } from 'polished'
 
 const HeaderFrame = styled.div`
@@ -52,7 +55,32 @@ const Title = styled.div`
   }
 `
 
+const SettingsButton = styled.button`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  margin-right: 0.75rem;
+  padding: 0.5rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  border-radius: 2rem;
+  outline: none;
+  cursor: pointer;
+  background-color: ${({ theme }) => theme.inputBackground};
+  color: ${({ theme }) => theme.doveGray};
+
+  :hover,
+  :focus {
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+
+  svg {
+    width: 1rem;
+    height: 1rem;
+  }
+`
+
 export default function Header() {
+  const [settingsOpen, setSettingsOpen] = useState(false)
+
   return (
     <HeaderFrame>
       <HeaderElement>
@@ -70,7 +98,12 @@ export default function Header() {
         </Title>
       </HeaderElement>
       <HeaderElement>
+        <NetworkSwitcher />
+        <SettingsButton aria-label="settings" onClick={() => setSettingsOpen(true)}>
+          <Settings />
+        </SettingsButton>
         <Web3Status />
+        <SettingsModal isOpen={settingsOpen} onDismiss={() => setSettingsOpen(false)} />
       </HeaderElement>
     </HeaderFrame>
   )
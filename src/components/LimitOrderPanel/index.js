@@ -0,0 +1,274 @@
+import React, { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+import { darken } from 'polished'
+import { ethers } from 'ethers'
+
+import { Button, Link } from '../../theme'
+import { amountFormatter, getEtherscanLink } from '../../utils'
+import { useAllTokenDetails } from '../../contexts/Tokens'
+import { useLimitOrders, LIMIT_ORDER_STATES } from '../../contexts/LimitOrders'
+
+const DEFAULT_EXPIRY_HOURS = 24
+const MAX_EXPIRY_HOURS = 24 * 30
+
+// translation keys for each order state
+const STATE_LABELS = {
+  [LIMIT_ORDER_STATES.OPEN]: 'limitOrderOpen',
+  [LIMIT_ORDER_STATES.TRIGGERED]: 'limitOrderTriggered',
+  [LIMIT_ORDER_STATES.FILLED]: 'limitOrderFilled',
+  [LIMIT_ORDER_STATES.EXPIRED]: 'limitOrderExpired',
+  [LIMIT_ORDER_STATES.CANCELLED]: 'limitOrderCancelled'
+}
+
+const Wrapper = styled.div`
+  background-color: ${({ theme }) => darken(0.04, theme.concreteGray)};
+  border-radius: 12px;
+  margin: 1rem 0.5rem 0 0.5rem;
+  padding: 1rem 1.25rem;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.doveGray};
+
+  > button {
+    margin-top: 1rem;
+  }
+`
+
+const Title = styled.div`
+  font-weight: 500;
+  color: ${({ theme }) => theme.textColor};
+`
+
+const Row = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap};
+  justify-content: space-between;
+  align-items: center;
+  padding-top: 0.5rem;
+`
+
+const TextInput = styled.input`
+  width: 7rem;
+  padding: 0.25rem 0.5rem;
+  border: 1px solid ${({ theme, error }) => (error ? theme.salmonRed : theme.mercuryGray)};
+  border-radius: 0.5rem;
+  outline: none;
+  background-color: ${({ theme }) => theme.inputBackground};
+  color: ${({ theme }) => theme.textColor};
+  text-align: right;
+`
+
+const Message = styled.div`
+  padding-top: 0.5rem;
+  color: ${({ theme, error }) => (error ? theme.salmonRed : theme.doveGray)};
+`
+
+const Order = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap};
+  align-items: center;
+  margin-top: 0.5rem;
+  padding-top: 0.5rem;
+  border-top: 1px solid ${({ theme }) => theme.mercuryGray};
+`
+
+const OrderDescription = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap};
+  flex: 1 1 auto;
+  min-width: 0;
+`
+
+const Bold = styled.span`
+  font-weight: 500;
+  color: ${({ theme }) => theme.textColor};
+`
+
+const OrderState = styled.span`
+  margin-left: 0.5rem;
+  color: ${({ theme, state }) =>
+    state === LIMIT_ORDER_STATES.FILLED
+      ? theme.connectedGreen
+      : state === LIMIT_ORDER_STATES.OPEN || state === LIMIT_ORDER_STATES.TRIGGERED
+      ? theme.royalBlue
+      : theme.doveGray};
+`
+
+const OrderError = styled.span`
+  overflow: hidden;
+  text-overflow: ellipsis;
+  color: ${({ theme }) => theme.salmonRed};
+`
+
+const OrderAction = styled.button`
+  margin-left: 0.5rem;
+  padding: 0.25rem 0.75rem;
+  border-radius: 1rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  outline: none;
+  cursor: pointer;
+  font-size: 0.75rem;
+  background-color: transparent;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+`
+
+function parseRate(value) {
+  try {
+    const rate = ethers.utils.parseUnits(value, 18)
+    return rate.gt(ethers.constants.Zero) ? rate : null
+  } catch {
+    return null
+  }
+}
+
+function parseHours(value) {
+  const parsed = Number(value)
+  return Number.isInteger(parsed) && parsed >= 1 && parsed <= MAX_EXPIRY_HOURS ? parsed : null
+}
+
+// the least output amount of outputDecimals that amount of inputDecimals has to buy at rate, which is scaled by 10^18
+function getMinimumOutput(amount, rate, inputDecimals, outputDecimals) {
+  return amount
+    .mul(rate)
+    .mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(outputDecimals)))
+    .div(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18 + inputDecimals)))
+}
+
+export default function LimitOrderPanel({
+  available,
+  amount,
+  inputCurrency,
+  outputCurrency,
+  inputSymbol,
+  outputSymbol,
+  inputDecimals,
+  outputDecimals,
+  exchangeRate
+}) {
+  const { t } = useTranslation()
+  const { networkId } = useWeb3Context()
+
+  const allTokens = useAllTokenDetails()
+  const [orders, { placeLimitOrder, cancelLimitOrder, removeLimitOrder }] = useLimitOrders()
+
+  const [rateInput, setRateInput] = useState('')
+  const [hoursInput, setHoursInput] = useState(`${DEFAULT_EXPIRY_HOURS}`)
+  const rate = parseRate(rateInput)
+  const hours = parseHours(hoursInput)
+
+  const minimumOutput = available && rate ? getMinimumOutput(amount, rate, inputDecimals, outputDecimals) : null
+  const currentRateFormatted = exchangeRate ? amountFormatter(exchangeRate, 18, 6, false) : ''
+
+  function place() {
+    placeLimitOrder(
+      inputCurrency,
+      outputCurrency,
+      amount,
+      minimumOutput,
+      Math.floor(Date.now() / 1000) + hours * 60 * 60
+    )
+    setRateInput('')
+  }
+
+  function formatAmount(value, currency) {
+    const { symbol, decimals } = allTokens[currency] || {}
+    return decimals || decimals === 0 ? `${amountFormatter(value, decimals, Math.min(4, decimals))} ${symbol}` : '-'
+  }
+
+  if (!available && orders.length === 0) {
+    return null
+  }
+
+  return (
+    <Wrapper>
+      <Title>{t('limitOrders')}</Title>
+      {available && (
+        <>
+          <Message>
+            {t('limitOrderDescription', {
+              amount: amountFormatter(amount, inputDecimals, Math.min(4, inputDecimals)),
+              inputSymbol,
+              outputSymbol
+            })}
+          </Message>
+          <Row>
+            {t('limitPrice', { inputSymbol, outputSymbol })}
+            <TextInput
+              value={rateInput}
+              placeholder={currentRateFormatted}
+              error={rateInput !== '' && !rate}
+              onChange={event => setRateInput(event.target.value)}
+            />
+          </Row>
+          <Row>
+            {t('limitOrderExpiresIn')}
+            <TextInput
+              type="number"
+              value={hoursInput}
+              error={!hours}
+              onChange={event => setHoursInput(event.target.value)}
+            />
+          </Row>
+          {minimumOutput && (
+            <Row>
+              {t('limitOrderMinimumOutput')}
+              <Bold>{`${amountFormatter(
+                minimumOutput,
+                outputDecimals,
+                Math.min(4, outputDecimals)
+              )} ${outputSymbol}`}</Bold>
+            </Row>
+          )}
+          <Button disabled={!minimumOutput || minimumOutput.isZero() || !hours} onClick={place}>
+            {t('placeLimitOrder')}
+          </Button>
+          <Message>{t('limitOrderWatchNote')}</Message>
+        </>
+      )}
+      {orders.map(order => (
+        <Order key={order.id}>
+          <OrderDescription>
+            <span>
+              <Bold>
+                {t('limitOrderSummary', {
+                  input: formatAmount(order.inputAmount, order.inputCurrency),
+                  output: formatAmount(order.minimumOutput, order.outputCurrency)
+                })}
+              </Bold>
+              <OrderState state={order.state}>{t(STATE_LABELS[order.state])}</OrderState>
+            </span>
+            <span>
+              {order.state === LIMIT_ORDER_STATES.OPEN
+                ? t('limitOrderExpiresAt', { time: new Date(order.expiresAt * 1000).toLocaleString() })
+                : new Date(order.createdAt * 1000).toLocaleString()}
+              {order.hash && (
+                <>
+                  {' · '}
+                  <Link href={getEtherscanLink(networkId, order.hash, 'transaction')}>{t('viewTransaction')}</Link>
+                </>
+              )}
+            </span>
+            {order.state === LIMIT_ORDER_STATES.OPEN && order.error && (
+              <OrderError title={order.error}>{t('limitOrderError', { error: order.error })}</OrderError>
+            )}
+          </OrderDescription>
+          {order.state === LIMIT_ORDER_STATES.OPEN && (
+            <OrderAction onClick={() => cancelLimitOrder(order.id)}>{t('cancel')}</OrderAction>
+          )}
+          {order.state === LIMIT_ORDER_STATES.TRIGGERED && (
+            <OrderAction title={t('stopWatchingDescription')} onClick={() => cancelLimitOrder(order.id)}>
+              {t('stopWatching')}
+            </OrderAction>
+          )}
+          {order.state !== LIMIT_ORDER_STATES.OPEN && order.state !== LIMIT_ORDER_STATES.TRIGGERED && (
+            <OrderAction onClick={() => removeLimitOrder(order.id)}>{t('remove')}</OrderAction>
+          )}
+        </Order>
+      ))}
+    </Wrapper>
+  )
+}
@@ -21,7 +21,12 @@ const tabOrder = [
   {
     path: 'add-liquidity',
     textKey: 'pool',
-    regex: /\/add-liquidity|\/remove-liquidity|\/create-exchange.*/
+    regex: /\/add-liquidity|\/remove-liquidity|\/create-exchange.*|\/positions/
+  },
+  {
+    path: '/portfolio',
+    textKey: 'portfolio',
+    regex: /\/portfolio|\/history|\/allowances/
   }
 ]
 
@@ -0,0 +1,67 @@
+import React from 'react'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+import { transparentize } from 'polished'
+
+import { useSelectedNetworkManager } from '../../contexts/LocalStorage'
+import { getNetworkLabel } from '../NetworkSwitcher'
+
+const Banner = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: center;
+  align-items: center;
+  flex-wrap: wrap;
+  width: 100%;
+  padding: 0.75rem 1rem;
+  border-top: 1px solid ${({ theme }) => transparentize(0.4, theme.salmonRed)};
+  border-bottom: 1px solid ${({ theme }) => transparentize(0.4, theme.salmonRed)};
+  background-color: ${({ theme }) => transparentize(0.9, theme.salmonRed)};
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.salmonRed};
+`
+
+const SwitchButton = styled.button`
+  margin-left: 1rem;
+  padding: 0.25rem 0.75rem;
+  border: 1px solid ${({ theme }) => theme.salmonRed};
+  border-radius: 2rem;
+  outline: none;
+  cursor: pointer;
+  font-size: 0.75rem;
+  background-color: transparent;
+  color: ${({ theme }) => theme.salmonRed};
+
+  :hover,
+  :focus {
+    background-color: ${({ theme }) => transparentize(0.8, theme.salmonRed)};
+  }
+`
+
+// shown when the connected wallet is on a different network than the one picked in the header
+export default function NetworkMismatchBanner() {
+  const { t } = useTranslation()
+  const { connectorName, networkId } = useWeb3Context()
+
+  const [selectedNetworkId, selectNetwork] = useSelectedNetworkManager()
+
+  if (connectorName !== 'Injected' || networkId === undefined || networkId === selectedNetworkId) {
+    return null
+  }
+
+  return (
+    <Banner role="alert">
+      {t('networkMismatch', {
+        walletNetwork: getNetworkLabel(networkId),
+        selectedNetwork: getNetworkLabel(selectedNetworkId)
+      })}
+      <SwitchButton
+        onClick={() => {
+          selectNetwork(networkId)
+        }}
+      >
+        {t('useWalletNetwork', { network: getNetworkLabel(networkId) })}
+      </SwitchButton>
+    </Banner>
+  )
+}
@@ -0,0 +1,55 @@
+import React from 'react'
+import { useTranslation } from 'react-i18next'
+import styled from 'styled-components'
+import { darken } from 'polished'
+
+import { SUPPORTED_NETWORK_IDS, NETWORK_LABELS } from '../../constants'
+import { useSelectedNetworkManager } from '../../contexts/LocalStorage'
+
+const Select = styled.select`
+  margin-right: 0.75rem;
+  padding: 0.5rem 0.75rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  border-radius: 2rem;
+  outline: none;
+  cursor: pointer;
+  font-size: 0.875rem;
+  background-color: ${({ theme }) => theme.inputBackground};
+  color: ${({ theme }) => theme.doveGray};
+
+  :hover,
+  :focus {
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+`
+
+export function getNetworkLabel(networkId) {
+  return NETWORK_LABELS[networkId] || `Chain ${networkId}`
+}
+
+export default function NetworkSwitcher() {
+  const { t } = useTranslation()
+
+  const [selectedNetworkId, selectNetwork] = useSelectedNetworkManager()
+
+  // there's nothing to pick between with a single factory
+  if (SUPPORTED_NETWORK_IDS.length < 2) {
+    return null
+  }
+
+  return (
+    <Select
+      aria-label={t('selectNetwork')}
+      value={selectedNetworkId}
+      onChange={event => {
+        selectNetwork(Number(event.target.value))
+      }}
+    >
+      {SUPPORTED_NETWORK_IDS.map(networkId => (
+        <option key={networkId} value={networkId}>
+          {getNetworkLabel(networkId)}
+        </option>
+      ))}
+    </Select>
+  )
+}
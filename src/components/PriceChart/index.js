@@ -0,0 +1,168 @@
+import React, { useState, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import styled from 'styled-components'
+import { darken } from 'polished'
+
+import { useBlockNumber } from '../../contexts/Application'
+import { useTokenDetails } from '../../contexts/Tokens'
+import { useExchangeReserves } from '../../contexts/Balances'
+import { useExchangeEvents } from '../../contexts/ExchangeEvents'
+import { getReservesHistory, getPriceSeries, getCrossPriceSeries } from '../../utils/priceHistory'
+
+// ranges are approximated in blocks, assuming 15 second blocks
+const RANGES = [{ label: '1H', blocks: 240 }, { label: '1D', blocks: 5760 }, { label: '1W', blocks: 40320 }]
+
+// the chart is drawn in these units and stretched to fit
+const WIDTH = 300
+const HEIGHT = 80
+
+const ChartWrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  padding: 0 1rem 0.5rem 1rem;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+const ChartHeader = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  align-items: center;
+  padding-bottom: 0.5rem;
+`
+
+const Change = styled.span`
+  margin-left: 0.5rem;
+  color: ${({ theme, negative }) => (negative ? theme.salmonRed : theme.connectedGreen)};
+`
+
+const RangeButton = styled.button`
+  margin-left: 0.25rem;
+  padding: 0.125rem 0.375rem;
+  border: none;
+  border-radius: 0.5rem;
+  outline: none;
+  cursor: pointer;
+  font-size: 0.75rem;
+  background-color: ${({ theme, active }) => (active ? theme.royalBlue : 'transparent')};
+  color: ${({ theme, active }) => (active ? theme.white : theme.doveGray)};
+
+  :hover,
+  :focus {
+    color: ${({ theme, active }) => (active ? theme.white : darken(0.1, theme.royalBlue))};
+  }
+`
+
+const Chart = styled.svg`
+  width: 100%;
+  height: 5rem;
+
+  path {
+    fill: none;
+    stroke: ${({ theme }) => theme.royalBlue};
+    stroke-width: 1.5;
+  }
+`
+
+const Placeholder = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: center;
+  align-items: center;
+  height: 5rem;
+`
+
+function formatPrice(price) {
+  return price >= 1 ? price.toFixed(4) : price.toPrecision(4)
+}
+
+// draws prices as steps, since each one holds until the next block that changes it
+function getPath(series, fromBlock, toBlock) {
+  const prices = series.map(({ price }) => price)
+  const min = Math.min(...prices)
+  const max = Math.max(...prices)
+
+  const x = blockNumber => ((Math.max(blockNumber, fromBlock) - fromBlock) / Math.max(toBlock - fromBlock, 1)) * WIDTH
+  // flat prices are drawn through the middle
+  const y = price => (max === min ? HEIGHT / 2 : HEIGHT - ((price - min) / (max - min)) * HEIGHT)
+
+  return series
+    .map(({ blockNumber, price }, i) =>
+      i === 0 ? `M ${x(blockNumber)} ${y(price)}` : `H ${x(blockNumber)} V ${y(price)}`
+    )
+    .concat(`H ${WIDTH}`)
+    .join(' ')
+}
+
+// the ETH price of a token over the range, or undefined while it's loading, and the error of the last failed read
+function useTokenPriceSeries(tokenAddress, fromBlock) {
+  const { decimals } = useTokenDetails(tokenAddress)
+  const { reserveETH, reserveToken } = useExchangeReserves(tokenAddress)
+  const [events, error] = useExchangeEvents(tokenAddress === 'ETH' ? undefined : tokenAddress, fromBlock)
+
+  const series = useMemo(
+    () =>
+      events && reserveETH && reserveToken && (decimals || decimals === 0)
+        ? getPriceSeries(getReservesHistory(events, reserveETH, reserveToken, fromBlock), decimals)
+        : undefined,
+    [events, reserveETH, reserveToken, decimals, fromBlock]
+  )
+
+  return [series, error]
+}
+
+export default function PriceChart({ inputCurrency, outputCurrency }) {
+  const { t } = useTranslation()
+
+  const blockNumber = useBlockNumber()
+  const [range, setRange] = useState(RANGES[0])
+  const fromBlock = typeof blockNumber === 'number' ? Math.max(0, blockNumber - range.blocks) : undefined
+
+  const { symbol: inputSymbol } = useTokenDetails(inputCurrency)
+  const { symbol: outputSymbol } = useTokenDetails(outputCurrency)
+
+  const [inputSeries, inputError] = useTokenPriceSeries(inputCurrency, fromBlock)
+  const [outputSeries, outputError] = useTokenPriceSeries(outputCurrency, fromBlock)
+
+  // single exchanges are charted in ETH, token to token swaps as the input's price in the output
+  const isTokenToToken = inputCurrency !== 'ETH' && outputCurrency !== 'ETH'
+  const series = isTokenToToken
+    ? inputSeries && outputSeries && getCrossPriceSeries(inputSeries, outputSeries)
+    : inputCurrency === 'ETH'
+    ? outputSeries
+    : inputSeries
+  const error = isTokenToToken ? inputError || outputError : inputCurrency === 'ETH' ? outputError : inputError
+  const baseSymbol = isTokenToToken || outputCurrency === 'ETH' ? inputSymbol : outputSymbol
+  const quoteSymbol = isTokenToToken ? outputSymbol : 'ETH'
+
+  const first = series && series.length > 0 ? series[0].price : undefined
+  const last = series && series.length > 0 ? series[series.length - 1].price : undefined
+  const change = first && last ? ((last - first) / first) * 100 : undefined
+
+  return (
+    <ChartWrapper>
+      <ChartHeader>
+        <span>
+          {last !== undefined ? `1 ${baseSymbol} = ${formatPrice(last)} ${quoteSymbol}` : t('priceHistory')}
+          {change !== undefined && (
+            <Change negative={change < 0}>{`${change >= 0 ? '+' : ''}${change.toFixed(2)}%`}</Change>
+          )}
+        </span>
+        <span>
+          {RANGES.map(option => (
+            <RangeButton key={option.label} active={option === range} onClick={() => setRange(option)}>
+              {option.label}
+            </RangeButton>
+          ))}
+        </span>
+      </ChartHeader>
+      {series && series.length > 0 ? (
+        <Chart viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+          <path d={getPath(series, fromBlock, blockNumber)} vectorEffect="non-scaling-stroke" />
+        </Chart>
+      ) : (
+        <Placeholder>
+          {series ? t('noPriceHistory') : error ? t('priceHistoryReadFailed') : t('loadingPriceHistory')}
+        </Placeholder>
+      )}
+    </ChartWrapper>
+  )
+}
@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+
+const Status = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.doveGray};
+  cursor: default;
+`
+
+const Dot = styled.span`
+  width: 0.5rem;
+  height: 0.5rem;
+  margin-right: 0.5rem;
+  border-radius: 50%;
+  background-color: ${({ theme, healthy }) => (healthy ? theme.connectedGreen : theme.salmonRed)};
+`
+
+// endpoint urls often carry API keys, so only their hosts are shown
+function getHost(name) {
+  try {
+    return new URL(name).host
+  } catch {
+    return name
+  }
+}
+
+// the health of the endpoints the network connector fails over between, or undefined for other connectors
+function useEndpointHealth() {
+  const { library } = useWeb3Context()
+
+  const [health, setHealth] = useState()
+
+  useEffect(() => {
+    if (library && library.getHealth) {
+      setHealth(library.getHealth())
+      return library.onHealthChange(setHealth)
+    } else {
+      setHealth()
+    }
+  }, [library])
+
+  return health
+}
+
+export default function RpcStatus() {
+  const { t } = useTranslation()
+
+  const health = useEndpointHealth()
+  const current = health && health.find(endpoint => endpoint.current)
+  if (!current) {
+    return null
+  }
+
+  const highestBlockNumber = Math.max(...health.map(({ blockNumber }) => blockNumber || 0))
+  function describe({ healthy, latency, blockNumber, failures }) {
+    if (failures > 0) {
+      return t('rpcUnreachable')
+    } else if (!healthy) {
+      return t('rpcLagging', { blocks: highestBlockNumber - blockNumber })
+    } else {
+      return latency === null ? t('rpcChecking') : t('rpcLatency', { latency })
+    }
+  }
+
+  return (
+    <Status
+      title={health
+        .map(endpoint => `${endpoint.current ? '→ ' : ''}${getHost(endpoint.name)}: ${describe(endpoint)}`)
+        .join('\n')}
+    >
+      <Dot healthy={current.healthy} />
+      {getHost(current.name)} · {describe(current)}
+    </Status>
+  )
+}
@@ -0,0 +1,294 @@
+import React, { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import styled from 'styled-components'
+import { darken } from 'polished'
+
+import Modal from '../Modal'
+import { useUserSettingsManager, useCustomNetworkManager } from '../../contexts/LocalStorage'
+import {
+  DEFAULT_SLIPPAGE_TOLERANCE,
+  MAX_SLIPPAGE_TOLERANCE,
+  DEFAULT_DEADLINE_FROM_NOW,
+  MIN_DEADLINE_FROM_NOW,
+  MAX_DEADLINE_FROM_NOW,
+  DEFAULT_GAS_MARGIN,
+  MAX_GAS_MARGIN
+} from '../../constants'
+import { isAddress } from '../../utils'
+import { ReactComponent as Close } from '../../assets/images/x.svg'
+
+const Wrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  width: 100%;
+  padding: 1.5rem 2rem 2rem 2rem;
+  overflow: auto;
+`
+
+const ModalHeader = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  align-items: center;
+  font-weight: 500;
+  margin-bottom: 1rem;
+`
+
+const CloseColor = styled(Close)`
+  cursor: pointer;
+
+  path {
+    stroke: ${({ theme }) => theme.textColor};
+  }
+`
+
+const Setting = styled.div`
+  padding: 1rem 0;
+  border-bottom: 1px solid ${({ theme }) => theme.mercuryGray};
+`
+
+const SettingRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  align-items: center;
+`
+
+const Description = styled.div`
+  padding-top: 0.5rem;
+  font-size: 0.75rem;
+  color: ${({ theme, error }) => (error ? theme.salmonRed : theme.doveGray)};
+`
+
+const InputWrapper = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  padding: 0.25rem 0.75rem;
+  border-radius: 2rem;
+  border: 1px solid ${({ theme, error }) => (error ? theme.salmonRed : theme.mercuryGray)};
+  color: ${({ theme }) => theme.doveGray};
+
+  input {
+    width: 4rem;
+    border: none;
+    outline: none;
+    text-align: right;
+    margin-right: 0.25rem;
+    background-color: ${({ theme }) => theme.inputBackground};
+    color: ${({ theme }) => theme.textColor};
+  }
+`
+
+const ResetButton = styled.button`
+  align-self: flex-end;
+  margin-top: 1rem;
+  border: none;
+  outline: none;
+  padding: 0;
+  background: none;
+  cursor: pointer;
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+  }
+`
+
+const NetworkInput = styled.input`
+  width: 100%;
+  margin-top: 0.5rem;
+  padding: 0.5rem 0.75rem;
+  border-radius: 2rem;
+  border: 1px solid ${({ theme, error }) => (error ? theme.salmonRed : theme.mercuryGray)};
+  outline: none;
+  font-size: 0.875rem;
+  background-color: ${({ theme }) => theme.inputBackground};
+  color: ${({ theme }) => theme.textColor};
+`
+
+const NetworkButtons = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: flex-end;
+
+  button {
+    margin-left: 1rem;
+  }
+
+  button:disabled {
+    cursor: default;
+    color: ${({ theme }) => theme.doveGray};
+  }
+`
+
+// parses a decimal input into an integer number of units, e.g. percentages into bips, or null if it's out of bounds
+function parseInput(input, unitsPerInput, min, max) {
+  if (!/^\d*\.?\d*$/.test(input) || input === '' || input === '.') {
+    return null
+  }
+  const parsed = Math.round(Number(input) * unitsPerInput)
+  return parsed >= min && parsed <= max ? parsed : null
+}
+
+function SettingInput({ title, description, errorText, unit, value, unitsPerInput, min, max, onChange }) {
+  const [input, setInput] = useState(`${value / unitsPerInput}`)
+  const parsed = parseInput(input, unitsPerInput, min, max)
+
+  // show the stored value again if it was changed elsewhere, e.g. by resetting to defaults
+  const [lastValue, setLastValue] = useState(value)
+  if (value !== lastValue) {
+    setLastValue(value)
+    if (value !== parsed) {
+      setInput(`${value / unitsPerInput}`)
+    }
+  }
+
+  return (
+    <Setting>
+      <SettingRow>
+        {title}
+        <InputWrapper error={parsed === null}>
+          <input
+            value={input}
+            onChange={event => {
+              const newInput = event.target.value
+              setInput(newInput)
+              const newParsed = parseInput(newInput, unitsPerInput, min, max)
+              if (newParsed !== null) {
+                onChange(newParsed)
+              }
+            }}
+          />
+          {unit}
+        </InputWrapper>
+      </SettingRow>
+      <Description error={parsed === null}>{parsed === null ? errorText : description}</Description>
+    </Setting>
+  )
+}
+
+// a custom rpc endpoint, chain id and factory address, e.g. for a local development chain, applied by reloading the app
+function CustomNetworkSetting() {
+  const { t } = useTranslation()
+
+  const [customNetwork, setCustomNetwork] = useCustomNetworkManager()
+
+  const [chainIdInput, setChainIdInput] = useState(customNetwork ? `${customNetwork.chainId}` : '')
+  const [urlInput, setUrlInput] = useState(customNetwork ? customNetwork.url : '')
+  const [factoryInput, setFactoryInput] = useState(customNetwork ? customNetwork.factoryAddress : '')
+
+  const chainId = /^\d+$/.test(chainIdInput) && Number(chainIdInput) > 0 ? Number(chainIdInput) : null
+  const url = /^https?:\/\/\S+$/.test(urlInput.trim()) ? urlInput.trim() : null
+  const factoryAddress = isAddress(factoryInput)
+  const isValid = chainId !== null && url !== null && !!factoryAddress
+  const isChanged =
+    !customNetwork ||
+    customNetwork.chainId !== chainId ||
+    customNetwork.url !== url ||
+    customNetwork.factoryAddress !== factoryAddress
+
+  return (
+    <Setting>
+      {t('customNetwork')}
+      <NetworkInput
+        placeholder={t('customNetworkUrl')}
+        error={urlInput !== '' && url === null}
+        value={urlInput}
+        onChange={event => setUrlInput(event.target.value)}
+      />
+      <NetworkInput
+        placeholder={t('customNetworkChainId')}
+        error={chainIdInput !== '' && chainId === null}
+        value={chainIdInput}
+        onChange={event => setChainIdInput(event.target.value)}
+      />
+      <NetworkInput
+        placeholder={t('customNetworkFactory')}
+        error={factoryInput !== '' && !factoryAddress}
+        value={factoryInput}
+        onChange={event => setFactoryInput(event.target.value)}
+      />
+      <Description>{t('customNetworkDescription')}</Description>
+      <NetworkButtons>
+        {customNetwork && (
+          <ResetButton
+            onClick={() => {
+              setCustomNetwork(null)
+            }}
+          >
+            {t('remove')}
+          </ResetButton>
+        )}
+        <ResetButton
+          disabled={!isValid || !isChanged}
+          onClick={() => {
+            setCustomNetwork({ chainId, url, factoryAddress })
+          }}
+        >
+          {t('saveAndReload')}
+        </ResetButton>
+      </NetworkButtons>
+    </Setting>
+  )
+}
+
+export default function SettingsModal({ isOpen, onDismiss }) {
+  const { t } = useTranslation()
+
+  const [{ slippage, deadline, gasMargin }, { setSlippage, setDeadline, setGasMargin }] = useUserSettingsManager()
+
+  return (
+    <Modal isOpen={isOpen} onDismiss={onDismiss} minHeight={null}>
+      <Wrapper>
+        <ModalHeader>
+          {t('settings')}
+          <CloseColor alt={'close icon'} onClick={onDismiss} />
+        </ModalHeader>
+        <SettingInput
+          title={t('slippageTolerance')}
+          description={t('slippageToleranceDescription')}
+          errorText={t('slippageToleranceError', { max: MAX_SLIPPAGE_TOLERANCE / 100 })}
+          unit="%"
+          value={slippage}
+          unitsPerInput={100}
+          min={0}
+          max={MAX_SLIPPAGE_TOLERANCE}
+          onChange={setSlippage}
+        />
+        <SettingInput
+          title={t('transactionDeadline')}
+          description={t('transactionDeadlineDescription')}
+          errorText={t('transactionDeadlineError', {
+            min: MIN_DEADLINE_FROM_NOW / 60,
+            max: MAX_DEADLINE_FROM_NOW / 60
+          })}
+          unit={t('minutes')}
+          value={deadline}
+          unitsPerInput={60}
+          min={MIN_DEADLINE_FROM_NOW}
+          max={MAX_DEADLINE_FROM_NOW}
+          onChange={setDeadline}
+        />
+        <SettingInput
+          title={t('gasMargin')}
+          description={t('gasMarginDescription')}
+          errorText={t('gasMarginError', { max: MAX_GAS_MARGIN / 100 })}
+          unit="%"
+          value={gasMargin}
+          unitsPerInput={100}
+          min={0}
+          max={MAX_GAS_MARGIN}
+          onChange={setGasMargin}
+        />
+        <ResetButton
+          onClick={() => {
+            setSlippage(DEFAULT_SLIPPAGE_TOLERANCE)
+            setDeadline(DEFAULT_DEADLINE_FROM_NOW)
+            setGasMargin(DEFAULT_GAS_MARGIN)
+          }}
+        >
+          {t('resetToDefaults')}
+        </ResetButton>
+        <CustomNetworkSetting />
+      </Wrapper>
+    </Modal>
+  )
+}
@@ -0,0 +1,399 @@
+import React, { useState, useReducer, useEffect, useMemo } from 'react'
+import { useTranslation } from 'react-i18next'
+import styled from 'styled-components'
+import { darken } from 'polished'
+import { ethers } from 'ethers'
+
+import { Button } from '../../theme'
+import { USER_REJECTED_REQUEST } from '../../constants'
+import { amountFormatter } from '../../utils'
+import { useBlockNumber } from '../../contexts/Application'
+import {
+  useAllTransactions,
+  getLatestReplacementHash,
+  getTransactionState,
+  TRANSACTION_STATES
+} from '../../contexts/Transactions'
+import EXCHANGE_ABI from '../../constants/abis/exchange'
+
+const EXCHANGE_INTERFACE = new ethers.utils.Interface(EXCHANGE_ABI)
+
+const DEFAULT_LEG_COUNT = 4
+const MIN_LEG_COUNT = 2
+const MAX_LEG_COUNT = 20
+
+const DEFAULT_BLOCK_INTERVAL = 2
+const MAX_BLOCK_INTERVAL = 100
+
+const IDLE = 'IDLE'
+const RUNNING = 'RUNNING'
+const COMPLETED = 'COMPLETED'
+const STOPPED = 'STOPPED'
+
+// translation keys explaining why an order stopped
+const STOP_REASONS = {
+  USER: 'splitOrderStoppedByUser',
+  PRICE_MOVED: 'splitOrderPriceMoved',
+  FAILED: 'splitOrderFailed',
+  REJECTED: 'splitOrderRejected',
+  TRADE_CHANGED: 'splitOrderTradeChanged'
+}
+
+const Wrapper = styled.div`
+  background-color: ${({ theme }) => darken(0.04, theme.concreteGray)};
+  border-radius: 12px;
+  margin: 1rem 0.5rem 0 0.5rem;
+  padding: 1rem 1.25rem;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.doveGray};
+
+  button {
+    margin-top: 1rem;
+  }
+`
+
+const Title = styled.div`
+  font-weight: 500;
+  color: ${({ theme }) => theme.textColor};
+`
+
+const Row = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap};
+  justify-content: space-between;
+  align-items: center;
+  padding-top: 0.5rem;
+`
+
+const NumberInput = styled.input`
+  width: 4rem;
+  padding: 0.25rem 0.5rem;
+  border: 1px solid ${({ theme, error }) => (error ? theme.salmonRed : theme.mercuryGray)};
+  border-radius: 0.5rem;
+  outline: none;
+  background-color: ${({ theme }) => theme.inputBackground};
+  color: ${({ theme }) => theme.textColor};
+  text-align: right;
+`
+
+const Bold = styled.span`
+  font-weight: 500;
+  color: ${({ theme }) => theme.textColor};
+`
+
+const Message = styled.div`
+  padding-top: 0.5rem;
+  color: ${({ theme, error }) => (error ? theme.salmonRed : theme.doveGray)};
+`
+
+function reducer(state, { type, payload }) {
+  switch (type) {
+    case 'START': {
+      return { ...payload, status: RUNNING, legs: [], submitting: false }
+    }
+    case 'SUBMITTING': {
+      return { ...state, submitting: true }
+    }
+    case 'LEG_SUBMITTED': {
+      const { hash, amount } = payload
+      return { ...state, submitting: false, legs: [...state.legs, { hash, amount }] }
+    }
+    case 'COMPLETE': {
+      return { ...state, status: COMPLETED }
+    }
+    case 'STOP': {
+      return { ...state, status: STOPPED, submitting: false, reason: payload.reason }
+    }
+    case 'RESET': {
+      return { status: IDLE }
+    }
+    default: {
+      throw Error(`Unexpected action type in SplitOrderPanel reducer: '${type}'.`)
+    }
+  }
+}
+
+// reads the amounts a swap actually sold and bought from the exchange events in its receipt
+function getFilledAmounts(receipt, inputCurrency, outputCurrency, inputExchangeAddress, outputExchangeAddress) {
+  let inputAmount = ethers.constants.Zero
+  let outputAmount = ethers.constants.Zero
+
+  ;(receipt.logs || []).forEach(log => {
+    let event
+    try {
+      event = EXCHANGE_INTERFACE.parseLog(log)
+    } catch {}
+    if (!event) {
+      return
+    }
+
+    const address = log.address.toLowerCase()
+    if (event.name === 'EthPurchase' && inputExchangeAddress && address === inputExchangeAddress.toLowerCase()) {
+      inputAmount = inputAmount.add(event.values.tokens_sold)
+      if (outputCurrency === 'ETH') {
+        outputAmount = outputAmount.add(event.values.eth_bought)
+      }
+    } else if (
+      event.name === 'TokenPurchase' &&
+      outputExchangeAddress &&
+      address === outputExchangeAddress.toLowerCase()
+    ) {
+      outputAmount = outputAmount.add(event.values.tokens_bought)
+      if (inputCurrency === 'ETH') {
+        inputAmount = inputAmount.add(event.values.eth_sold)
+      }
+    }
+  })
+
+  return { inputAmount, outputAmount }
+}
+
+function parseInteger(value, min, max) {
+  const parsed = Number(value)
+  return Number.isInteger(parsed) && parsed >= min && parsed <= max ? parsed : null
+}
+
+export default function SplitOrderPanel({
+  available,
+  amount,
+  exactInput,
+  inputCurrency,
+  outputCurrency,
+  inputExchangeAddress,
+  outputExchangeAddress,
+  inputSymbol,
+  outputSymbol,
+  inputDecimals,
+  outputDecimals,
+  marketRate,
+  allowedSlippage,
+  confirmed,
+  onReview,
+  onSubmitLeg
+}) {
+  const { t } = useTranslation()
+
+  const blockNumber = useBlockNumber()
+  const allTransactions = useAllTransactions()
+
+  const [legCountInput, setLegCountInput] = useState(`${DEFAULT_LEG_COUNT}`)
+  const [blockIntervalInput, setBlockIntervalInput] = useState(`${DEFAULT_BLOCK_INTERVAL}`)
+  const legCount = parseInteger(legCountInput, MIN_LEG_COUNT, MAX_LEG_COUNT)
+  const blockInterval = parseInteger(blockIntervalInput, 0, MAX_BLOCK_INTERVAL)
+
+  const [order, dispatch] = useReducer(reducer, { status: IDLE })
+
+  // why the first leg couldn't be reviewed
+  const [reviewError, setReviewError] = useState()
+
+  function review() {
+    setReviewError()
+    try {
+      onReview(amount.div(ethers.utils.bigNumberify(legCount)), start)
+    } catch (error) {
+      setReviewError(error.message)
+    }
+  }
+
+  // resolve each submitted leg to the transaction that finally represents it, and what it filled
+  const legResults = useMemo(
+    () =>
+      (order.legs || []).map(leg => {
+        const transaction = allTransactions[getLatestReplacementHash(allTransactions, leg.hash)]
+        const state = transaction ? getTransactionState(transaction) : TRANSACTION_STATES.PENDING
+        if (state !== TRANSACTION_STATES.CONFIRMED || transaction.receipt.status === 0) {
+          return { ...leg, state }
+        }
+
+        const filled = getFilledAmounts(
+          transaction.receipt,
+          order.inputCurrency,
+          order.outputCurrency,
+          order.inputExchangeAddress,
+          order.outputExchangeAddress
+        )
+        return { ...leg, state, receipt: transaction.receipt, filled }
+      }),
+    [order, allTransactions]
+  )
+  const filledLegs = legResults.filter(leg => leg.filled && !leg.filled.inputAmount.isZero())
+  const filledInput = filledLegs.reduce(
+    (accumulator, leg) => accumulator.add(leg.filled.inputAmount),
+    ethers.constants.Zero
+  )
+  const filledOutput = filledLegs.reduce(
+    (accumulator, leg) => accumulator.add(leg.filled.outputAmount),
+    ethers.constants.Zero
+  )
+  const remainingAmount =
+    order.status !== IDLE && filledLegs.reduce((accumulator, leg) => accumulator.sub(leg.amount), order.totalAmount)
+
+  // drive the order forward: wait for the last leg to confirm and the interval to pass, then submit the next one
+  useEffect(() => {
+    if (order.status !== RUNNING || order.submitting || !blockNumber) {
+      return
+    }
+
+    const lastLeg = legResults[legResults.length - 1]
+    if (lastLeg) {
+      if (lastLeg.state === TRANSACTION_STATES.PENDING) {
+        return
+      } else if (!lastLeg.filled || lastLeg.filled.inputAmount.isZero()) {
+        dispatch({ type: 'STOP', payload: { reason: STOP_REASONS.FAILED } })
+        return
+      }
+    }
+
+    if (order.legs.length === order.legCount) {
+      dispatch({ type: 'COMPLETE' })
+      return
+    }
+
+    if (lastLeg && blockNumber < lastLeg.receipt.blockNumber + order.blockInterval) {
+      return
+    }
+
+    if (
+      exactInput !== order.exactInput ||
+      inputCurrency !== order.inputCurrency ||
+      outputCurrency !== order.outputCurrency
+    ) {
+      dispatch({ type: 'STOP', payload: { reason: STOP_REASONS.TRADE_CHANGED } })
+      return
+    }
+
+    // only adverse moves count, i.e. fewer output tokens per input token than when the order started
+    if (
+      !marketRate ||
+      order.startRate
+        .sub(marketRate)
+        .mul(ethers.utils.bigNumberify(10000))
+        .div(order.startRate)
+        .gt(order.allowedSlippage)
+    ) {
+      dispatch({ type: 'STOP', payload: { reason: STOP_REASONS.PRICE_MOVED } })
+      return
+    }
+
+    const submittedAmount = order.legs.reduce((accumulator, leg) => accumulator.add(leg.amount), ethers.constants.Zero)
+    const legAmount =
+      order.legs.length === order.legCount - 1
+        ? order.totalAmount.sub(submittedAmount)
+        : order.totalAmount.div(ethers.utils.bigNumberify(order.legCount))
+
+    dispatch({ type: 'SUBMITTING' })
+    onSubmitLeg(legAmount, { splitOrder: { id: order.id, leg: order.legs.length + 1, legCount: order.legCount } })
+      .then(response => {
+        dispatch({ type: 'LEG_SUBMITTED', payload: { hash: response.hash, amount: legAmount } })
+      })
+      .catch(error => {
+        dispatch({
+          type: 'STOP',
+          payload: {
+            reason: error && error.code === USER_REJECTED_REQUEST ? STOP_REASONS.REJECTED : STOP_REASONS.FAILED
+          }
+        })
+      })
+  }, [order, legResults, blockNumber, exactInput, inputCurrency, outputCurrency, marketRate, onSubmitLeg])
+
+  function start() {
+    dispatch({
+      type: 'START',
+      payload: {
+        id: `${Date.now()}`,
+        legCount,
+        blockInterval,
+        totalAmount: amount,
+        exactInput,
+        inputCurrency,
+        outputCurrency,
+        inputExchangeAddress,
+        outputExchangeAddress,
+        inputSymbol,
+        outputSymbol,
+        inputDecimals,
+        outputDecimals,
+        startRate: marketRate,
+        allowedSlippage
+      }
+    })
+  }
+
+  if (order.status === IDLE) {
+    if (!available) {
+      return null
+    }
+
+    return (
+      <Wrapper>
+        <Title>{t('splitOrder')}</Title>
+        <Message>{t('splitOrderDescription')}</Message>
+        <Row>
+          {t('splitOrderLegCount')}
+          <NumberInput
+            type="number"
+            value={legCountInput}
+            error={!legCount}
+            onChange={event => setLegCountInput(event.target.value)}
+          />
+        </Row>
+        <Row>
+          {t('splitOrderBlockInterval')}
+          <NumberInput
+            type="number"
+            value={blockIntervalInput}
+            error={blockInterval === null}
+            onChange={event => setBlockIntervalInput(event.target.value)}
+          />
+        </Row>
+        <Button disabled={!legCount || blockInterval === null || !amount || !marketRate || !confirmed} onClick={review}>
+          {t('startSplitOrder')}
+        </Button>
+        {reviewError && <Message error>{t('splitOrderReviewFailed', { reason: reviewError })}</Message>}
+      </Wrapper>
+    )
+  }
+
+  const averageRate =
+    !filledInput.isZero() &&
+    filledOutput
+      .mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18 + order.inputDecimals)))
+      .div(filledInput)
+      .div(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(order.outputDecimals)))
+  const remainingDecimals = order.exactInput ? order.inputDecimals : order.outputDecimals
+
+  return (
+    <Wrapper>
+      <Title>{t('splitOrder')}</Title>
+      <Row>
+        {t('splitOrderProgress')}
+        <Bold>{`${filledLegs.length} / ${order.legCount}`}</Bold>
+      </Row>
+      <Row>
+        {t('averagePrice')}
+        <Bold>
+          {averageRate
+            ? `1 ${order.inputSymbol} = ${amountFormatter(averageRate, 18, 6, false)} ${order.outputSymbol}`
+            : ' - '}
+        </Bold>
+      </Row>
+      <Row>
+        {t('remaining')}
+        <Bold>
+          {`${amountFormatter(remainingAmount, remainingDecimals, Math.min(4, remainingDecimals))} ${
+            order.exactInput ? order.inputSymbol : order.outputSymbol
+          }`}
+        </Bold>
+      </Row>
+      {order.status === RUNNING && <Message>{t(order.submitting ? 'splitOrderSigning' : 'splitOrderWaiting')}</Message>}
+      {order.status === COMPLETED && <Message>{t('splitOrderCompleted')}</Message>}
+      {order.status === STOPPED && <Message error>{t(order.reason)}</Message>}
+      {order.status === RUNNING ? (
+        <Button warning onClick={() => dispatch({ type: 'STOP', payload: { reason: STOP_REASONS.USER } })}>
+          {t('stopSplitOrder')}
+        </Button>
+      ) : (
+        <Button onClick={() => dispatch({ type: 'RESET' })}>{t('dismiss')}</Button>
+      )}
+    </Wrapper>
+  )
+}
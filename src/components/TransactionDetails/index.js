@@ -2,9 +2,11 @@ import React, { useState, useEffect, useRef, useCallback } from 'react'
 import ReactGA from 'react-ga'
 import { useTranslation } from 'react-i18next'
 import styled, { css, keyframes } from 'styled-components'
-import { darken, lighten } from 'polished'
+import { darken, lighten, transparentize } from 'polished'
 import { isAddress, amountFormatter } from '../../utils'
 import { useDebounce } from '../../hooks'
+import { useAllTokenDetails } from '../../contexts/Tokens'
+import { PRICE_IMPACT_TIERS } from '../../utils/priceImpact'
 
 import question from '../../assets/images/question.svg'
 
@@ -18,6 +20,14 @@ const WARNING_TYPE = Object.freeze({
   riskyEntryLow: 'riskyEntryLow'
 })
 
+// option index of each slippage preset, keyed by the preset in bips
+const SLIPPAGE_PRESETS = Object.freeze({ 10: 1, 50: 2, 100: 3 })
+const CUSTOM_SLIPPAGE_INDEX = 4
+
+function getSlippageIndex(rawSlippage) {
+  return SLIPPAGE_PRESETS[Number.parseInt(rawSlippage)] || CUSTOM_SLIPPAGE_INDEX
+}
+
 const Flex = styled.div`
   display: flex;
   justify-content: center;
@@ -293,10 +303,29 @@ const ValueWrapper = styled.span`
   font-variant: tabular-nums;
 `
 
+const PriceImpactWrapper = styled(ValueWrapper)`
+  color: ${({ theme, tier }) =>
+    tier === PRICE_IMPACT_TIERS.LOW
+      ? theme.connectedGreen
+      : tier === PRICE_IMPACT_TIERS.SEVERE
+      ? theme.salmonRed
+      : theme.textColor};
+  background-color: ${({ theme, tier }) =>
+    tier === PRICE_IMPACT_TIERS.HIGH
+      ? transparentize(0.6, theme.warningYellow)
+      : tier === PRICE_IMPACT_TIERS.SEVERE
+      ? transparentize(0.8, theme.salmonRed)
+      : darken(0.04, theme.concreteGray)};
+`
+
 export default function TransactionDetails(props) {
   const { t } = useTranslation()
 
-  const [activeIndex, setActiveIndex] = useState(3)
+  const allTokens = useAllTokenDetails(false)
+
+  // whether the custom input was picked, otherwise the tab follows the slippage in use, e.g. from the settings
+  const [customActive, setCustomActive] = useState(false)
+  const activeIndex = customActive ? CUSTOM_SLIPPAGE_INDEX : getSlippageIndex(props.rawSlippage)
 
   const [warningType, setWarningType] = useState(WARNING_TYPE.none)
 
@@ -306,9 +335,15 @@ export default function TransactionDetails(props) {
 
   const [userInput, setUserInput] = useState('')
   const debouncedInput = useDebounce(userInput, 150)
+  // a slippage in use that isn't a preset shows in the custom input until it's picked
+  const customValue = customActive
+    ? userInput
+    : activeIndex === CUSTOM_SLIPPAGE_INDEX
+    ? `${props.rawSlippage / 100}`
+    : ''
 
   useEffect(() => {
-    if (activeIndex === 4) {
+    if (customActive) {
       checkBounds(debouncedInput)
     }
   })
@@ -394,7 +429,7 @@ export default function TransactionDetails(props) {
           <SlippageRow wrap>
             <Option
               onClick={() => {
-                setFromFixed(1, 0.1)
+                setFromFixed(0.1)
               }}
               active={activeIndex === 1}
             >
@@ -402,7 +437,7 @@ export default function TransactionDetails(props) {
             </Option>
             <Option
               onClick={() => {
-                setFromFixed(2, 0.5)
+                setFromFixed(0.5)
               }}
               active={activeIndex === 2}
             >
@@ -410,7 +445,7 @@ export default function TransactionDetails(props) {
             </Option>
             <OptionLarge
               onClick={() => {
-                setFromFixed(3, 1)
+                setFromFixed(1)
               }}
               active={activeIndex === 3}
             >
@@ -441,14 +476,14 @@ export default function TransactionDetails(props) {
                   active={activeIndex === 4}
                   placeholder={
                     activeIndex === 4
-                      ? !!userInput
+                      ? !!customValue
                         ? ''
                         : '0'
                       : activeIndex !== 4 && userInput !== ''
                       ? userInput
                       : 'Custom'
                   }
-                  value={activeIndex === 4 ? userInput : ''}
+                  value={customValue}
                   onChange={parseInput}
                   color={
                     warningType === WARNING_TYPE.emptyInput
@@ -496,10 +531,11 @@ export default function TransactionDetails(props) {
   }
 
   const setFromCustom = () => {
-    setActiveIndex(4)
+    setUserInput(customValue)
+    setCustomActive(true)
     inputRef.current.focus()
     // if there's a value, evaluate the bounds
-    checkBounds(debouncedInput)
+    checkBounds(customValue)
   }
 
   // destructure props for to limit effect callbacks
@@ -521,47 +557,16 @@ export default function TransactionDetails(props) {
 
   // used for slippage presets
   const setFromFixed = useCallback(
-    (index, slippage) => {
+    slippage => {
       // update slippage in parent, reset errors and input state
       updateSlippage(slippage)
       setWarningType(WARNING_TYPE.none)
-      setActiveIndex(index)
+      setCustomActive(false)
       setcustomSlippageError('valid`')
     },
     [setcustomSlippageError, updateSlippage]
   )
 
-  /**
-   * @todo
-   * Breaks without useState here, able to
-   * break input parsing if typing is faster than
-   * debounce time
-   */
-
-  const [initialSlippage] = useState(props.rawSlippage)
-
-  useEffect(() => {
-    switch (Number.parseInt(initialSlippage)) {
-      case 10:
-        setFromFixed(1, 0.1)
-        break
-      case 50:
-        setFromFixed(2, 0.5)
-        break
-      case 100:
-        setFromFixed(3, 1)
-        break
-      default:
-        // restrict to 2 decimal places
-        let acceptableValues = [/^$/, /^\d{1,2}$/, /^\d{0,2}\.\d{0,2}$/]
-        // if its within accepted decimal limit, update the input state
-        if (acceptableValues.some(val => val.test(initialSlippage / 100))) {
-          setUserInput(initialSlippage / 100)
-          setActiveIndex(4)
-        }
-    }
-  }, [initialSlippage, setFromFixed])
-
   const checkBounds = useCallback(
     slippageValue => {
       setWarningType(WARNING_TYPE.none)
@@ -605,6 +610,45 @@ export default function TransactionDetails(props) {
 
   const b = text => <Bold>{text}</Bold>
 
+  function formatPath(path) {
+    return path.map(currency => (allTokens[currency] && allTokens[currency].symbol) || currency).join(' → ')
+  }
+
+  function renderRoute() {
+    if (!props.route) {
+      return null
+    }
+
+    return (
+      <LastSummaryText>
+        {t('route')} <ValueWrapper>{b(formatPath(props.route))}</ValueWrapper>
+      </LastSummaryText>
+    )
+  }
+
+  const renderPriceImpact = () => {
+    const hopImpactsFormatted = props.hopImpactsFormatted || []
+
+    return (
+      <>
+        <LastSummaryText>
+          {t('priceImpact')}{' '}
+          <PriceImpactWrapper tier={props.priceImpactTier}>
+            {b(props.priceImpactFormatted ? `${props.priceImpactFormatted}%` : '-')}
+          </PriceImpactWrapper>
+        </LastSummaryText>
+        {hopImpactsFormatted.length > 1 && (
+          <LastSummaryText>
+            {t('priceImpactPerExchange')}{' '}
+            <ValueWrapper>{b(`${props.inputSymbol} → ETH ${hopImpactsFormatted[0]}%`)}</ValueWrapper>
+            {' + '}
+            <ValueWrapper>{b(`ETH → ${props.outputSymbol} ${hopImpactsFormatted[1]}%`)}</ValueWrapper>
+          </LastSummaryText>
+        )}
+      </>
+    )
+  }
+
   const renderTransactionDetails = () => {
     ReactGA.event({
       category: 'TransactionDetail',
@@ -638,9 +682,8 @@ export default function TransactionDetails(props) {
               )}
             </ValueWrapper>{' '}
           </LastSummaryText>
-          <LastSummaryText>
-            {t('priceChange')} <ValueWrapper>{b(`${props.percentSlippageFormatted}%`)}</ValueWrapper>
-          </LastSummaryText>
+          {renderPriceImpact()}
+          {renderRoute()}
         </TransactionInfo>
       ) : (
         <TransactionInfo>
@@ -666,9 +709,8 @@ export default function TransactionDetails(props) {
               )}
             </ValueWrapper>
           </div>
-          <LastSummaryText>
-            {t('priceChange')} <ValueWrapper>{b(`${props.percentSlippageFormatted}%`)}</ValueWrapper>
-          </LastSummaryText>
+          {renderPriceImpact()}
+          {renderRoute()}
         </TransactionInfo>
       )
     } else {
@@ -696,9 +738,8 @@ export default function TransactionDetails(props) {
               )}
             </ValueWrapper>{' '}
           </div>
-          <LastSummaryText>
-            {t('priceChange')} <ValueWrapper>{b(`${props.percentSlippageFormatted}%`)}</ValueWrapper>
-          </LastSummaryText>
+          {renderPriceImpact()}
+          {renderRoute()}
         </TransactionInfo>
       ) : (
         <TransactionInfo>
@@ -722,9 +763,8 @@ export default function TransactionDetails(props) {
               )} ${props.inputSymbol}`
             )}
           </ValueWrapper>{' '}
-          <LastSummaryText>
-            {t('priceChange')} <ValueWrapper>{b(`${props.percentSlippageFormatted}%`)}</ValueWrapper>
-          </LastSummaryText>
+          {renderPriceImpact()}
+          {renderRoute()}
         </TransactionInfo>
       )
     }
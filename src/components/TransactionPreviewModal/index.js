@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+
+import Modal from '../Modal'
+import { Button } from '../../theme'
+import { simulateContractCall } from '../../utils/simulation'
+import { ReactComponent as Close } from '../../assets/images/x.svg'
+
+const Wrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  width: 100%;
+  padding: 1.5rem 2rem 2rem 2rem;
+  overflow: auto;
+`
+
+const ModalHeader = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  align-items: center;
+  font-weight: 500;
+  margin-bottom: 1rem;
+`
+
+const CloseColor = styled(Close)`
+  cursor: pointer;
+
+  path {
+    stroke: ${({ theme }) => theme.textColor};
+  }
+`
+
+const OutcomeRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  padding: 0.5rem 0;
+  border-bottom: 1px solid ${({ theme }) => theme.mercuryGray};
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.doveGray};
+
+  span:last-child {
+    font-weight: 500;
+    color: ${({ theme }) => theme.textColor};
+  }
+`
+
+const Message = styled.div`
+  padding: 1rem 0;
+  font-size: 0.875rem;
+  color: ${({ theme, error }) => (error ? theme.salmonRed : theme.doveGray)};
+  word-break: break-word;
+`
+
+const Actions = styled.div`
+  margin-top: 1rem;
+`
+
+/**
+ * Simulates a contract call before it's sent and shows what it would do, so it can be confirmed before the wallet
+ * prompt. call is { methodName, args, value }, and getOutcome turns the call's decoded return values, and the call, into
+ * [{ label, value }] rows. Calls that would revert can't be confirmed.
+ */
+export default function TransactionPreviewModal({ title, contract, call, getOutcome, onConfirm, onDismiss }) {
+  const { t } = useTranslation()
+  const { account } = useWeb3Context()
+
+  // undefined while the simulation runs
+  const [simulation, setSimulation] = useState()
+
+  useEffect(() => {
+    setSimulation()
+    if (call && contract && account) {
+      let stale = false
+
+      simulateContractCall(contract, account, call.methodName, call.args, call.value).then(result => {
+        if (!stale) {
+          setSimulation(result)
+        }
+      })
+
+      return () => {
+        stale = true
+      }
+    }
+  }, [call, contract, account])
+
+  const reverted = simulation && !simulation.outputs
+
+  function renderSimulation() {
+    if (!simulation) {
+      return <Message>{t('simulatingTransaction')}</Message>
+    } else if (reverted) {
+      return (
+        <Message error>
+          {simulation.reason ? t('simulationRevertedWith', { reason: simulation.reason }) : t('simulationReverted')}
+        </Message>
+      )
+    } else {
+      return (
+        <>
+          {getOutcome(simulation.outputs, call).map(({ label, value }) => (
+            <OutcomeRow key={label}>
+              <span>{label}</span>
+              <span>{value}</span>
+            </OutcomeRow>
+          ))}
+          <Message>{t('simulationNote')}</Message>
+        </>
+      )
+    }
+  }
+
+  return (
+    <Modal isOpen={!!call} onDismiss={onDismiss}>
+      <Wrapper>
+        <ModalHeader>
+          {title}
+          <CloseColor alt={'close icon'} onClick={onDismiss} />
+        </ModalHeader>
+        {renderSimulation()}
+        <Actions>
+          <Button
+            disabled={!simulation || reverted}
+            onClick={() => {
+              onConfirm(call)
+              onDismiss()
+            }}
+          >
+            {t('confirmInWallet')}
+          </Button>
+        </Actions>
+      </Wrapper>
+    </Modal>
+  )
+}
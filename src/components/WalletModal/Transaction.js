@@ -1,14 +1,30 @@
-import React from 'react'
+import React, { useState } from 'react'
 import styled, { keyframes } from 'styled-components'
 import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
 import Copy from './Copy'
 
-import { getEtherscanLink } from '../../utils'
+import { USER_REJECTED_REQUEST } from '../../constants'
+import { getEtherscanLink, getProviderOrSigner, calculateGasMargin } from '../../utils'
 import { Link, Spinner } from '../../theme'
+import {
+  useAllTransactions,
+  useTransactionReplacementAdder,
+  getTransactionState,
+  getReplacementType,
+  TRANSACTION_STATES,
+  REPLACEMENT_TYPES
+} from '../../contexts/Transactions'
 import Circle from '../../assets/images/circle.svg'
-import { Check } from 'react-feather'
+import { Check, Repeat, XCircle } from 'react-feather'
 
-import { transparentize } from 'polished'
+import { transparentize, darken } from 'polished'
+
+// % above the original gas price that replacements pay, denominated in bips (nodes require at least 10%)
+const REPLACEMENT_GAS_PRICE_MARGIN = ethers.utils.bigNumberify(1250)
+
+// the gas needed for a plain ether transfer
+const CANCEL_GAS_LIMIT = ethers.utils.bigNumberify(21000)
 
 const TransactionStatusWrapper = styled.div`
   display: flex;
@@ -38,6 +54,42 @@ const TransactionStatusText = styled.span`
   margin-left: 0.5rem;
 `
 
+const TransactionActions = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: flex-end;
+  margin-top: 0.25rem;
+`
+
+const ReplaceError = styled.span`
+  margin-right: auto;
+  overflow: hidden;
+  text-overflow: ellipsis;
+  white-space: nowrap;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.salmonRed};
+`
+
+const TransactionAction = styled.button`
+  padding: 0;
+  margin-left: 1rem;
+  border: none;
+  background: none;
+  outline: none;
+  cursor: pointer;
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+  }
+
+  :disabled {
+    color: ${({ theme }) => theme.silverGray};
+    cursor: auto;
+  }
+`
+
 const rotate = keyframes`
   from {
     transform: rotate(0deg);
@@ -47,61 +99,186 @@ const rotate = keyframes`
   }
 `
 
+function getStateColor(transactionState, theme) {
+  switch (transactionState) {
+    case TRANSACTION_STATES.PENDING: {
+      return theme.royalBlue
+    }
+    case TRANSACTION_STATES.REPLACED: {
+      return theme.doveGray
+    }
+    case TRANSACTION_STATES.DROPPED: {
+      return theme.salmonRed
+    }
+    default: {
+      return theme.connectedGreen
+    }
+  }
+}
+
 const TransactionState = styled.div`
   display: flex;
-  background-color: ${({ pending, theme }) =>
-    pending ? transparentize(0.95, theme.royalBlue) : transparentize(0.95, theme.connectedGreen)};
+  background-color: ${({ transactionState, theme }) => transparentize(0.95, getStateColor(transactionState, theme))};
   border-radius: 1.5rem;
   padding: 0.5rem 0.75rem;
   font-weight: 500;
   font-size: 0.75rem;
   border: 1px solid;
-  border-color: ${({ pending, theme }) =>
-    pending ? transparentize(0.75, theme.royalBlue) : transparentize(0.75, theme.connectedGreen)};
+  border-color: ${({ transactionState, theme }) => transparentize(0.75, getStateColor(transactionState, theme))};
 
   #pending {
     animation: 2s ${rotate} linear infinite;
   }
 
   :hover {
-    border-color: ${({ pending, theme }) =>
-      pending ? transparentize(0, theme.royalBlue) : transparentize(0, theme.connectedGreen)};
+    border-color: ${({ transactionState, theme }) => transparentize(0, getStateColor(transactionState, theme))};
   }
 `
 const ButtonWrapper = styled.div`
   a {
-    color: ${({ pending, theme }) => (pending ? theme.royalBlue : theme.connectedGreen)};
+    color: ${({ transactionState, theme }) => getStateColor(transactionState, theme)};
   }
 `
 
+function getPendingText(replacementType) {
+  switch (replacementType) {
+    case REPLACEMENT_TYPES.SPEED_UP: {
+      return 'Speeding Up'
+    }
+    case REPLACEMENT_TYPES.CANCEL: {
+      return 'Cancelling'
+    }
+    default: {
+      return 'Pending'
+    }
+  }
+}
+
+function renderStateContents(transactionState, replacementType) {
+  switch (transactionState) {
+    case TRANSACTION_STATES.PENDING: {
+      return (
+        <>
+          <Spinner src={Circle} id="pending" />
+          <TransactionStatusText>{getPendingText(replacementType)}</TransactionStatusText>
+        </>
+      )
+    }
+    case TRANSACTION_STATES.REPLACED: {
+      return (
+        <>
+          <Repeat size="16" />
+          <TransactionStatusText>Replaced</TransactionStatusText>
+        </>
+      )
+    }
+    case TRANSACTION_STATES.DROPPED: {
+      return (
+        <>
+          <XCircle size="16" />
+          <TransactionStatusText>Dropped</TransactionStatusText>
+        </>
+      )
+    }
+    default: {
+      return (
+        <>
+          <Check size="16" />
+          <TransactionStatusText>
+            {replacementType === REPLACEMENT_TYPES.CANCEL ? 'Cancelled' : 'Confirmed'}
+          </TransactionStatusText>
+        </>
+      )
+    }
+  }
+}
+
 export default function Transaction({ hash, pending }) {
-  const { networkId } = useWeb3Context()
+  const { networkId, library, account } = useWeb3Context()
+
+  const allTransactions = useAllTransactions()
+  const transactionState = allTransactions[hash]
+    ? getTransactionState(allTransactions[hash])
+    : pending
+    ? TRANSACTION_STATES.PENDING
+    : TRANSACTION_STATES.CONFIRMED
+  const replacementType = allTransactions[hash] ? getReplacementType(allTransactions[hash]) : null
+
+  const addReplacement = useTransactionReplacementAdder()
+  const [replacing, setReplacing] = useState(false)
+  const [replaceError, setReplaceError] = useState()
+
+  // resubmits the transaction (or a 0 ether transfer to ourselves) with the same nonce and a higher gas price
+  async function replace(newReplacementType) {
+    setReplacing(true)
+    setReplaceError()
+
+    try {
+      const original = await library.getTransaction(hash)
+      if (!original) {
+        throw Error(`Could not find transaction '${hash}'.`)
+      }
+
+      const currentGasPrice = await library.getGasPrice()
+      const bumpedGasPrice = calculateGasMargin(original.gasPrice, REPLACEMENT_GAS_PRICE_MARGIN)
+      const gasPrice = bumpedGasPrice.gt(currentGasPrice) ? bumpedGasPrice : currentGasPrice
+
+      const transaction =
+        newReplacementType === REPLACEMENT_TYPES.SPEED_UP
+          ? {
+              to: original.to,
+              data: original.data,
+              value: original.value,
+              gasLimit: original.gasLimit,
+              nonce: original.nonce,
+              gasPrice
+            }
+          : {
+              to: account,
+              value: ethers.constants.Zero,
+              gasLimit: CANCEL_GAS_LIMIT,
+              nonce: original.nonce,
+              gasPrice
+            }
+
+      const response = await getProviderOrSigner(library, account).sendTransaction(transaction)
+      addReplacement(hash, response, newReplacementType)
+    } catch (error) {
+      // declining in the wallet needs no explanation
+      if (!error || error.code !== USER_REJECTED_REQUEST) {
+        setReplaceError((error && error.message) || 'Could not replace the transaction.')
+      }
+    } finally {
+      setReplacing(false)
+    }
+  }
 
   return (
-    <TransactionWrapper key={hash}>
-      <TransactionStatusWrapper>
-        <Link href={getEtherscanLink(networkId, hash, 'transaction')}>{hash} ↗ </Link>
-        <Copy toCopy={hash} />
-      </TransactionStatusWrapper>
-      {pending ? (
-        <ButtonWrapper pending={pending}>
-          <Link href={getEtherscanLink(networkId, hash, 'transaction')}>
-            <TransactionState pending={pending}>
-              <Spinner src={Circle} id="pending" />
-              <TransactionStatusText>Pending</TransactionStatusText>
-            </TransactionState>
-          </Link>
-        </ButtonWrapper>
-      ) : (
-        <ButtonWrapper pending={pending}>
+    <>
+      <TransactionWrapper key={hash}>
+        <TransactionStatusWrapper>
+          <Link href={getEtherscanLink(networkId, hash, 'transaction')}>{hash} ↗ </Link>
+          <Copy toCopy={hash} />
+        </TransactionStatusWrapper>
+        <ButtonWrapper transactionState={transactionState}>
           <Link href={getEtherscanLink(networkId, hash, 'transaction')}>
-            <TransactionState pending={pending}>
-              <Check size="16" />
-              <TransactionStatusText>Confirmed</TransactionStatusText>
+            <TransactionState transactionState={transactionState}>
+              {renderStateContents(transactionState, replacementType)}
             </TransactionState>
           </Link>
         </ButtonWrapper>
+      </TransactionWrapper>
+      {transactionState === TRANSACTION_STATES.PENDING && replacementType !== REPLACEMENT_TYPES.CANCEL && (
+        <TransactionActions>
+          {replaceError && <ReplaceError title={replaceError}>{replaceError}</ReplaceError>}
+          <TransactionAction disabled={replacing} onClick={() => replace(REPLACEMENT_TYPES.SPEED_UP)}>
+            Speed Up
+          </TransactionAction>
+          <TransactionAction disabled={replacing} onClick={() => replace(REPLACEMENT_TYPES.CANCEL)}>
+            Cancel
+          </TransactionAction>
+        </TransactionActions>
       )}
-    </TransactionWrapper>
+    </>
   )
 }
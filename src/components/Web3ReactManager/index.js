@@ -6,6 +6,7 @@ import { useTranslation } from 'react-i18next'
 import { isMobile } from 'react-device-detect'
 
 import { Spinner } from '../../theme'
+import { useSelectedNetworkManager } from '../../contexts/LocalStorage'
 import Circle from '../../assets/images/circle.svg'
 
 const { Connector } = Connectors
@@ -41,7 +42,17 @@ function tryToSetConnector(setConnector, setError) {
 
 export default function Web3ReactManager({ children }) {
   const { t } = useTranslation()
-  const { active, error, setConnector, setError } = useWeb3Context()
+  const {
+    active,
+    error,
+    networkId,
+    connector,
+    connectorName,
+    setConnector,
+    unsetConnector,
+    setError
+  } = useWeb3Context()
+  const [selectedNetworkId] = useSelectedNetworkManager()
   // control whether or not we render the error, after parsing
   const blockRender = error && error.code && error.code === Connector.errorCodes.UNSUPPORTED_NETWORK
 
@@ -70,6 +81,14 @@ export default function Web3ReactManager({ children }) {
     }
   })
 
+  // move the network connector to the network picked in the header, it's activated again by the effect above
+  useEffect(() => {
+    if (connectorName === 'Network' && networkId !== undefined && networkId !== selectedNetworkId) {
+      connector.setNetworkId(selectedNetworkId)
+      unsetConnector()
+    }
+  }, [connectorName, connector, networkId, selectedNetworkId, unsetConnector])
+
   // parse the error
   useEffect(() => {
     if (error) {
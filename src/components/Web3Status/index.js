@@ -10,7 +10,12 @@ import { Activity } from 'react-feather'
 import { shortenAddress } from '../../utils'
 import { useENSName } from '../../hooks'
 import WalletModal from '../WalletModal'
-import { useAllTransactions } from '../../contexts/Transactions'
+import {
+  useAllTransactions,
+  getTransactionState,
+  getLogicalTransactionHashes,
+  TRANSACTION_STATES
+} from '../../contexts/Transactions'
 import { Spinner } from '../../theme'
 import Circle from '../../assets/images/circle.svg'
 
@@ -138,8 +143,13 @@ export default function Web3Status() {
   const ENSName = useENSName(account)
 
   const allTransactions = useAllTransactions()
-  const pending = Object.keys(allTransactions).filter(hash => !allTransactions[hash].receipt)
-  const confirmed = Object.keys(allTransactions).filter(hash => allTransactions[hash].receipt)
+  const logicalTransactions = getLogicalTransactionHashes(allTransactions)
+  const pending = logicalTransactions.filter(
+    hash => getTransactionState(allTransactions[hash]) === TRANSACTION_STATES.PENDING
+  )
+  const confirmed = logicalTransactions.filter(
+    hash => getTransactionState(allTransactions[hash]) !== TRANSACTION_STATES.PENDING
+  )
 
   const hasPendingTransactions = !!pending.length
 
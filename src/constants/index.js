@@ -1,10 +1,71 @@
+import { getStoredCustomNetwork } from '../utils/customNetwork'
+
+// the custom network set in the settings as it was when the app started, { chainId, url, factoryAddress } or null.
+// it's read straight from local storage so that the connectors and factory addresses below can include it, and the
+// app reloads whenever it's changed
+export const INITIAL_CUSTOM_NETWORK = getStoredCustomNetwork()
+
 export const FACTORY_ADDRESSES = {
   1: '0xc0a47dFe034B400B47bDaD5FecDa2621de6c4d95',
   3: '0x9c83dCE8CA20E9aAF9D3efc003b2ea62aBC08351',
   4: '0xf5D915570BC477f9B8D6C0E980aA81757A3AaC36',
-  42: '0xD3E51Ef092B2845f10401a0159B2B96e8B6c3D30'
+  42: '0xD3E51Ef092B2845f10401a0159B2B96e8B6c3D30',
+  // a factory deployed to the configured network, e.g. a local development chain
+  ...(process.env.REACT_APP_FACTORY_ADDRESS
+    ? { [Number(process.env.REACT_APP_NETWORK_ID)]: process.env.REACT_APP_FACTORY_ADDRESS }
+    : {}),
+  // the custom network comes last so that it can override any of the above, e.g. on a fork
+  ...(INITIAL_CUSTOM_NETWORK ? { [INITIAL_CUSTOM_NETWORK.chainId]: INITIAL_CUSTOM_NETWORK.factoryAddress } : {})
 }
 
+// the network used until the user picks another one
+export const DEFAULT_NETWORK_ID = Number(process.env.REACT_APP_NETWORK_ID || '1')
+
+// every network with a factory can be picked
+export const SUPPORTED_NETWORK_IDS = Object.keys(FACTORY_ADDRESSES).map(Number)
+
+// short names for the network switcher, other networks are shown by chain id
+export const NETWORK_LABELS = {
+  1: 'Mainnet',
+  3: 'Ropsten',
+  4: 'Rinkeby',
+  5: 'Görli',
+  42: 'Kovan'
+}
+
+// Multicall contracts, which aggregate many reads into a single eth_call
+export const MULTICALL_ADDRESSES = {
+  1: '0xEEfbA1e63905eF1D7AcBA5e8513c70905A8D2b0a',
+  3: '0x53C43764255c17BD724F74c4eF150724AC50a3ed',
+  4: '0x42Ad527de7d4e9d9d011aC45B31D8551f8Fe9821',
+  42: '0x2cc8688C5f75E365aaEEb4ea8D6a480405A48D2A',
+  ...(process.env.REACT_APP_MULTICALL_ADDRESS
+    ? { [Number(process.env.REACT_APP_NETWORK_ID)]: process.env.REACT_APP_MULTICALL_ADDRESS }
+    : {})
+}
+
+// defaults and bounds for the user settings, slippage and gas margin are denominated in bips and deadlines in seconds
+export const DEFAULT_SLIPPAGE_TOLERANCE = 100
+export const MAX_SLIPPAGE_TOLERANCE = 5000
+export const DEFAULT_DEADLINE_FROM_NOW = 60 * 15
+export const MIN_DEADLINE_FROM_NOW = 60
+export const MAX_DEADLINE_FROM_NOW = 60 * 60 * 3
+export const DEFAULT_GAS_MARGIN = 1000
+export const MAX_GAS_MARGIN = 10000
+
+// the error code wallets reject requests with when the user declines them
+export const USER_REJECTED_REQUEST = 4001
+
+// how much of a token the exchange is approved to spend when unlocking it, remembered for each token
+export const APPROVAL_TYPES = {
+  // only what the current trade needs, so each later trade that needs more asks again
+  EXACT: 'EXACT',
+  UNLIMITED: 'UNLIMITED'
+}
+
+// served from public/ so the default list is available offline
+export const DEFAULT_TOKEN_LIST_URL = `${process.env.PUBLIC_URL}/tokenlists/default.tokenlist.json`
+
 export const SUPPORTED_THEMES = {
   DARK: 'DARK',
   LIGHT: 'LIGHT'
@@ -0,0 +1,238 @@
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect, useState } from 'react'
+import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
+
+import EXCHANGE_ABI from '../constants/abis/exchange'
+import { safeAccess, isAddress } from '../utils'
+import { useBlockNumber } from './Application'
+import { EXCHANGE_EVENTS, decodeExchangeLog, getAccountExchangeEvents, getNextRange } from './ExchangeEvents'
+
+export const HISTORY_TYPES = {
+  SWAP: 'SWAP',
+  SEND: 'SEND',
+  ADD_LIQUIDITY: 'ADD_LIQUIDITY',
+  REMOVE_LIQUIDITY: 'REMOVE_LIQUIDITY'
+}
+
+const EXCHANGE_INTERFACE = new ethers.utils.Interface(EXCHANGE_ABI)
+
+const ENTRIES = 'ENTRIES'
+const FROM_BLOCK = 'FROM_BLOCK'
+const TO_BLOCK = 'TO_BLOCK'
+
+const UPDATE = 'UPDATE'
+
+const AccountHistoryContext = createContext()
+
+function useAccountHistoryContext() {
+  return useContext(AccountHistoryContext)
+}
+
+function reducer(state, { type, payload }) {
+  switch (type) {
+    case UPDATE: {
+      const { networkId, account, entries, fromBlock, toBlock } = payload
+      const cached = safeAccess(state, [networkId, account]) || {}
+
+      // the new range always touches the cached one, so the cache stays a single range of blocks
+      return {
+        ...state,
+        [networkId]: {
+          ...(safeAccess(state, [networkId]) || {}),
+          [account]: {
+            [ENTRIES]: [
+              ...(cached[ENTRIES] || []).filter(entry => entry.blockNumber < fromBlock || entry.blockNumber > toBlock),
+              ...entries
+            ].sort((a, b) => b.blockNumber - a.blockNumber || b.transactionIndex - a.transactionIndex),
+            [FROM_BLOCK]: cached[FROM_BLOCK] === undefined ? fromBlock : Math.min(cached[FROM_BLOCK], fromBlock),
+            [TO_BLOCK]: cached[TO_BLOCK] === undefined ? toBlock : Math.max(cached[TO_BLOCK], toBlock)
+          }
+        }
+      }
+    }
+    default: {
+      throw Error(`Unexpected action type in AccountHistoryContext reducer: '${type}'.`)
+    }
+  }
+}
+
+export default function Provider({ children }) {
+  const [state, dispatch] = useReducer(reducer, {})
+
+  const update = useCallback((networkId, account, entries, fromBlock, toBlock) => {
+    dispatch({ type: UPDATE, payload: { networkId, account, entries, fromBlock, toBlock } })
+  }, [])
+
+  return (
+    <AccountHistoryContext.Provider value={useMemo(() => [state, { update }], [state, update])}>
+      {children}
+    </AccountHistoryContext.Provider>
+  )
+}
+
+// the recipient of a transfer method call, or undefined for swaps and liquidity changes
+function getRecipient(transaction) {
+  const call = EXCHANGE_INTERFACE.parseTransaction({ data: transaction.data, value: transaction.value })
+  if (!call) {
+    return
+  }
+
+  const index = EXCHANGE_INTERFACE.functions[call.name].inputs.findIndex(({ name }) => name === 'recipient')
+  return index === -1 ? undefined : call.args[index]
+}
+
+// describes a transaction sent to an exchange from the events in its receipt, exchange addresses are null where ETH was
+// traded instead of a token
+function getHistoryEntry(transaction, receipt, timestamp) {
+  const events = receipt.logs.map(decodeExchangeLog).filter(event => event)
+  const exchangeAddress = transaction.to
+  const exchangeEvent = events.find(event => event.exchangeAddress === exchangeAddress)
+  if (!exchangeEvent) {
+    return null
+  }
+
+  const entry = {
+    hash: transaction.hash,
+    blockNumber: receipt.blockNumber,
+    transactionIndex: receipt.transactionIndex,
+    timestamp,
+    gasCost: receipt.gasUsed.mul(transaction.gasPrice)
+  }
+
+  switch (exchangeEvent.name) {
+    case EXCHANGE_EVENTS.ADD_LIQUIDITY:
+    case EXCHANGE_EVENTS.REMOVE_LIQUIDITY: {
+      return {
+        ...entry,
+        type:
+          exchangeEvent.name === EXCHANGE_EVENTS.ADD_LIQUIDITY
+            ? HISTORY_TYPES.ADD_LIQUIDITY
+            : HISTORY_TYPES.REMOVE_LIQUIDITY,
+        exchangeAddress,
+        ethAmount: exchangeEvent.values.eth_amount,
+        tokenAmount: exchangeEvent.values.token_amount
+      }
+    }
+    case EXCHANGE_EVENTS.TOKEN_PURCHASE:
+    case EXCHANGE_EVENTS.ETH_PURCHASE: {
+      const recipient = getRecipient(transaction)
+      const swap = {
+        ...entry,
+        type: recipient ? HISTORY_TYPES.SEND : HISTORY_TYPES.SWAP,
+        recipient
+      }
+
+      if (exchangeEvent.name === EXCHANGE_EVENTS.TOKEN_PURCHASE) {
+        return {
+          ...swap,
+          inputExchangeAddress: null,
+          inputAmount: exchangeEvent.values.eth_sold,
+          outputExchangeAddress: exchangeAddress,
+          outputAmount: exchangeEvent.values.tokens_bought
+        }
+      }
+
+      // token to token swaps buy the output token from a second exchange with the ETH from the first
+      const outputEvent = events.find(
+        event =>
+          event.name === EXCHANGE_EVENTS.TOKEN_PURCHASE &&
+          event.exchangeAddress !== exchangeAddress &&
+          event.values.buyer === exchangeAddress
+      )
+      return {
+        ...swap,
+        inputExchangeAddress: exchangeAddress,
+        inputAmount: exchangeEvent.values.tokens_sold,
+        outputExchangeAddress: outputEvent ? outputEvent.exchangeAddress : null,
+        outputAmount: outputEvent ? outputEvent.values.tokens_bought : exchangeEvent.values.eth_bought
+      }
+    }
+    default: {
+      return null
+    }
+  }
+}
+
+// reads the account's exchange transactions between two blocks, inclusive, along with their gas costs and timestamps
+async function getAccountHistory(library, account, fromBlock, toBlock) {
+  const events = await getAccountExchangeEvents(library, account, fromBlock, toBlock)
+  const hashes = [...new Set(events.map(({ transactionHash }) => transactionHash))]
+
+  const timestamps = {}
+  const entries = await Promise.all(
+    hashes.map(async hash => {
+      const [transaction, receipt] = await Promise.all([
+        library.getTransaction(hash),
+        library.getTransactionReceipt(hash)
+      ])
+      // only transactions sent by the account, not calls made to the exchanges by other contracts on its behalf
+      if (transaction.from.toLowerCase() !== account.toLowerCase()) {
+        return null
+      }
+
+      if (!timestamps[receipt.blockNumber]) {
+        timestamps[receipt.blockNumber] = library.getBlock(receipt.blockNumber).then(({ timestamp }) => timestamp)
+      }
+      return getHistoryEntry(transaction, receipt, await timestamps[receipt.blockNumber])
+    })
+  )
+
+  return entries.filter(entry => entry)
+}
+
+// returns the account's exchange transactions from fromBlock up to the latest block, newest first, or undefined until
+// fromBlock is known and they've all been read, along with the error of the last failed read. only the blocks that
+// aren't cached yet are read, and failed reads are retried with the next block
+export function useAccountHistory(fromBlock) {
+  const { networkId, library, account } = useWeb3Context()
+
+  const globalBlockNumber = useBlockNumber()
+
+  const [state, { update }] = useAccountHistoryContext()
+  const { [ENTRIES]: entries, [FROM_BLOCK]: cachedFromBlock, [TO_BLOCK]: cachedToBlock } =
+    safeAccess(state, [networkId, account]) || {}
+
+  const startBlock = typeof fromBlock === 'number' ? Math.max(0, fromBlock) : undefined
+
+  const [error, setError] = useState()
+
+  useEffect(() => {
+    if (
+      isAddress(account) &&
+      (networkId || networkId === 0) &&
+      library &&
+      typeof globalBlockNumber === 'number' &&
+      typeof startBlock === 'number' &&
+      startBlock <= globalBlockNumber
+    ) {
+      const range = getNextRange(startBlock, globalBlockNumber, cachedFromBlock, cachedToBlock)
+      if (range) {
+        let stale = false
+        getAccountHistory(library, account, ...range)
+          .then(newEntries => {
+            if (!stale) {
+              setError()
+              update(networkId, account, newEntries, ...range)
+            }
+          })
+          .catch(error => {
+            if (!stale) {
+              setError(error)
+            }
+          })
+
+        return () => {
+          stale = true
+        }
+      }
+    }
+  }, [account, networkId, library, globalBlockNumber, startBlock, cachedFromBlock, cachedToBlock, update])
+
+  const rangeEntries = useMemo(
+    () =>
+      entries && cachedFromBlock <= startBlock ? entries.filter(entry => entry.blockNumber >= startBlock) : undefined,
+    [entries, cachedFromBlock, startBlock]
+  )
+
+  return [rangeEntries, error]
+}
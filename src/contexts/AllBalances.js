@@ -1,10 +1,12 @@
 import React, { createContext, useContext, useReducer, useMemo, useCallback } from 'react'
 import { ethers } from 'ethers'
-import { getTokenReserves, getMarketDetails, BigNumber } from '@uniswap/sdk'
+import { BigNumber } from '@uniswap/sdk'
 import { useWeb3Context } from 'web3-react'
 
-import { safeAccess, isAddress, getEtherBalance, getTokenBalance } from '../utils'
+import { safeAccess, isAddress } from '../utils'
+import { getBatchedEtherBalance, getBatchedTokenBalance } from '../utils/multicall'
 import { useAllTokenDetails } from './Tokens'
+import { useBlockNumber } from './Application'
 
 const ZERO = ethers.utils.bigNumberify(0)
 const ONE = new BigNumber(1)
@@ -52,9 +54,13 @@ export default function Provider({ children }) {
   )
 }
 
-export function useFetchAllBalances() {
+// balances are fetched once per account, or on every block if refreshOnBlock is set
+export function useFetchAllBalances(refreshOnBlock = false) {
   const { account, networkId, library } = useWeb3Context()
 
+  const globalBlockNumber = useBlockNumber()
+  const refreshBlockNumber = refreshOnBlock ? globalBlockNumber : null
+
   const allTokens = useAllTokenDetails()
 
   const [state, { update }] = useAllBalancesContext()
@@ -64,24 +70,29 @@ export function useFetchAllBalances() {
   const getData = async () => {
     if (!!library && !!account) {
       const newBalances = {}
+      // the balances of every token are read in one batch, then the reserves of those with positive balances in another
       await Promise.all(
         Object.keys(allTokens).map(async k => {
           let balance = null
           let ethRate = null
           if (isAddress(k) || k === 'ETH') {
             if (k === 'ETH') {
-              balance = await getEtherBalance(account, library).catch(() => null)
+              balance = await getBatchedEtherBalance(account, library, networkId).catch(() => null)
               ethRate = ONE
             } else {
-              balance = await getTokenBalance(k, account, library).catch(() => null)
+              balance = await getBatchedTokenBalance(k, account, library, networkId).catch(() => null)
               // only get values for tokens with positive balances
-              if (!!balance && balance.gt(ZERO)) {
-                const tokenReserves = await getTokenReserves(k, library).catch(() => null)
-                if (!!tokenReserves) {
-                  const marketDetails = getMarketDetails(tokenReserves)
-                  if (marketDetails.marketRate && marketDetails.marketRate.rate) {
-                    ethRate = marketDetails.marketRate.rate
-                  }
+              const { exchangeAddress, decimals } = allTokens[k]
+              if (!!balance && balance.gt(ZERO) && isAddress(exchangeAddress)) {
+                const [reserveETH, reserveToken] = await Promise.all([
+                  getBatchedEtherBalance(exchangeAddress, library, networkId),
+                  getBatchedTokenBalance(k, exchangeAddress, library, networkId)
+                ]).catch(() => [])
+                if (!!reserveETH && !!reserveToken && reserveETH.gt(ZERO) && reserveToken.gt(ZERO)) {
+                  // ETH per whole token
+                  ethRate = new BigNumber(reserveETH.toString())
+                    .div(new BigNumber(10).pow(18))
+                    .div(new BigNumber(reserveToken.toString()).div(new BigNumber(10).pow(decimals)))
                 }
               }
             }
@@ -94,7 +105,7 @@ export function useFetchAllBalances() {
     }
   }
 
-  useMemo(getData, [account])
+  useMemo(getData, [account, refreshBlockNumber])
 
   return allBalanceData
 }
@@ -1,10 +1,17 @@
-import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect, useState } from 'react'
 import { useWeb3Context } from 'web3-react'
 
-import { safeAccess, isAddress, getTokenAllowance } from '../utils'
+import { safeAccess, isAddress } from '../utils'
+import { getBatchedTokenAllowance } from '../utils/multicall'
 import { useBlockNumber } from './Application'
+import { useAllTokenDetails } from './Tokens'
+import { useAllTransactions, getTransactionState, getTransactionCustomData, TRANSACTION_STATES } from './Transactions'
+
+// how often every allowance is read again while they're all in use, to catch approvals made outside the app
+const ALL_ALLOWANCES_REFRESH_BLOCKS = 25
 
 const UPDATE = 'UPDATE'
+const BATCH_UPDATE = 'BATCH_UPDATE'
 
 const AllowancesContext = createContext()
 
@@ -33,6 +40,28 @@ function reducer(state, { type, payload }) {
         }
       }
     }
+    case BATCH_UPDATE: {
+      const { networkId, address, allowances, blockNumber } = payload
+      return {
+        ...state,
+        [networkId]: {
+          ...(safeAccess(state, [networkId]) || {}),
+          [address]: Object.keys(allowances).reduce(
+            (tokens, tokenAddress) => ({
+              ...tokens,
+              [tokenAddress]: Object.keys(allowances[tokenAddress]).reduce(
+                (spenders, spenderAddress) => ({
+                  ...spenders,
+                  [spenderAddress]: { value: allowances[tokenAddress][spenderAddress], blockNumber }
+                }),
+                tokens[tokenAddress] || {}
+              )
+            }),
+            safeAccess(state, [networkId, address]) || {}
+          )
+        }
+      }
+    }
     default: {
       throw Error(`Unexpected action type in AllowancesContext reducer: '${type}'.`)
     }
@@ -46,8 +75,13 @@ export default function Provider({ children }) {
     dispatch({ type: UPDATE, payload: { networkId, address, tokenAddress, spenderAddress, value, blockNumber } })
   }, [])
 
+  // allowances maps token addresses to spender addresses to values
+  const batchUpdate = useCallback((networkId, address, allowances, blockNumber) => {
+    dispatch({ type: BATCH_UPDATE, payload: { networkId, address, allowances, blockNumber } })
+  }, [])
+
   return (
-    <AllowancesContext.Provider value={useMemo(() => [state, { update }], [state, update])}>
+    <AllowancesContext.Provider value={useMemo(() => [state, { update, batchUpdate }], [state, update, batchUpdate])}>
       {children}
     </AllowancesContext.Provider>
   )
@@ -72,7 +106,7 @@ export function useAddressAllowance(address, tokenAddress, spenderAddress) {
     ) {
       let stale = false
 
-      getTokenAllowance(address, tokenAddress, spenderAddress, library)
+      getBatchedTokenAllowance(address, tokenAddress, spenderAddress, library, networkId)
         .then(value => {
           if (!stale) {
             update(networkId, address, tokenAddress, spenderAddress, value, globalBlockNumber)
@@ -92,3 +126,109 @@ export function useAddressAllowance(address, tokenAddress, spenderAddress) {
 
   return value
 }
+
+// whether address has to approve spenderAddress again before it can spend amount of tokenAddress, which is always
+// false for ETH and undefined while the allowance loads. exact approvals are used up by the trades they were made for,
+// so this catches a trade that needs more than is left
+export function useApprovalRequired(address, tokenAddress, spenderAddress, amount) {
+  const allowance = useAddressAllowance(address, tokenAddress, spenderAddress)
+
+  if (tokenAddress === 'ETH') {
+    return false
+  }
+  return allowance && amount ? allowance.lt(amount) : undefined
+}
+
+// returns every non-zero allowance the account has granted to an exchange, as [{ tokenAddress, exchangeAddress, value }],
+// or undefined until they've been read. they're read again once an approval sent from here is mined, and every
+// ALL_ALLOWANCES_REFRESH_BLOCKS blocks otherwise
+export function useAllExchangeAllowances() {
+  const { networkId, library, account } = useWeb3Context()
+
+  const globalBlockNumber = useBlockNumber()
+  const allTokens = useAllTokenDetails()
+
+  // pairs of token and exchange addresses, joined so that fetches only restart when the set of exchanges changes
+  const exchangesKey = Object.keys(allTokens)
+    .filter(tokenAddress => isAddress(tokenAddress) && isAddress(allTokens[tokenAddress].exchangeAddress))
+    .map(tokenAddress => `${tokenAddress}:${allTokens[tokenAddress].exchangeAddress}`)
+    .join(',')
+
+  // the approvals sent from here that have been mined, so that each one triggers a refresh
+  const allTransactions = useAllTransactions()
+  const approvalsKey = Object.keys(allTransactions)
+    .filter(
+      hash =>
+        getTransactionCustomData(allTransactions[hash]).approval &&
+        getTransactionState(allTransactions[hash]) === TRANSACTION_STATES.CONFIRMED
+    )
+    .sort()
+    .join(',')
+
+  const [state, { batchUpdate }] = useAllowancesContext()
+  // allowances are also read one at a time elsewhere, so this tracks when all of them were last read together
+  const [loaded, setLoaded] = useState({})
+  const loadedKey = `${networkId}:${account}:${exchangesKey}`
+  const refreshDue =
+    typeof globalBlockNumber === 'number' &&
+    (typeof loaded.blockNumber !== 'number' || globalBlockNumber >= loaded.blockNumber + ALL_ALLOWANCES_REFRESH_BLOCKS)
+
+  useEffect(() => {
+    if (
+      isAddress(account) &&
+      (loaded.key !== loadedKey || loaded.approvalsKey !== approvalsKey || refreshDue) &&
+      (networkId || networkId === 0) &&
+      library
+    ) {
+      let stale = false
+
+      const exchanges = exchangesKey ? exchangesKey.split(',').map(pair => pair.split(':')) : []
+      Promise.all(
+        exchanges.map(([tokenAddress, exchangeAddress]) =>
+          getBatchedTokenAllowance(account, tokenAddress, exchangeAddress, library, networkId).catch(() => null)
+        )
+      ).then(results => {
+        if (!stale) {
+          const allowances = {}
+          results.forEach((value, i) => {
+            const [tokenAddress, exchangeAddress] = exchanges[i]
+            allowances[tokenAddress] = { [exchangeAddress]: value }
+          })
+          batchUpdate(networkId, account, allowances, globalBlockNumber)
+          setLoaded({ key: loadedKey, approvalsKey, blockNumber: globalBlockNumber })
+        }
+      })
+
+      return () => {
+        stale = true
+      }
+    }
+  }, [
+    account,
+    exchangesKey,
+    approvalsKey,
+    loaded,
+    loadedKey,
+    refreshDue,
+    globalBlockNumber,
+    networkId,
+    library,
+    batchUpdate
+  ])
+
+  return useMemo(() => {
+    if (loaded.key !== loadedKey || !exchangesKey) {
+      return loaded.key === loadedKey ? [] : undefined
+    }
+
+    return exchangesKey
+      .split(',')
+      .map(pair => pair.split(':'))
+      .map(([tokenAddress, exchangeAddress]) => ({
+        tokenAddress,
+        exchangeAddress,
+        value: safeAccess(state, [networkId, account, tokenAddress, exchangeAddress, 'value'])
+      }))
+      .filter(({ value }) => value && !value.isZero())
+  }, [loaded, loadedKey, exchangesKey, state, networkId, account])
+}
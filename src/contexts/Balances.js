@@ -1,11 +1,23 @@
-import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect, useRef } from 'react'
 import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
 
-import { safeAccess, isAddress, getEtherBalance, getTokenBalance } from '../utils'
+import { safeAccess, isAddress } from '../utils'
+import { getBatchedEtherBalance, getBatchedTokenBalance } from '../utils/multicall'
 import { useBlockNumber } from './Application'
 import { useTokenDetails } from './Tokens'
 
+// token balances are only read again after a Transfer log involves them, or after this many blocks in case a token
+// changes balances without one
+const RESYNC_BLOCKS = 50
+// when more blocks than this pass between checks, e.g. while the tab was asleep, everything is read again instead
+const MAX_TRANSFER_SEARCH_BLOCKS = 100
+
+const TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)')
+
 const UPDATE = 'UPDATE'
+const INVALIDATE = 'INVALIDATE'
+const INVALIDATE_ALL = 'INVALIDATE_ALL'
 
 const BalancesContext = createContext()
 
@@ -13,6 +25,24 @@ function useBalancesContext() {
   return useContext(BalancesContext)
 }
 
+// marks the token balances matching shouldInvalidate to be read again
+function invalidateBalances(state, networkId, shouldInvalidate) {
+  const networkBalances = safeAccess(state, [networkId]) || {}
+  return {
+    ...state,
+    [networkId]: Object.keys(networkBalances).reduce((addresses, address) => {
+      addresses[address] = Object.keys(networkBalances[address]).reduce((tokens, tokenAddress) => {
+        tokens[tokenAddress] =
+          tokenAddress !== 'ETH' && shouldInvalidate(address, tokenAddress)
+            ? { ...networkBalances[address][tokenAddress], invalidated: true }
+            : networkBalances[address][tokenAddress]
+        return tokens
+      }, {})
+      return addresses
+    }, {})
+  }
+}
+
 function reducer(state, { type, payload }) {
   switch (type) {
     case UPDATE: {
@@ -31,6 +61,23 @@ function reducer(state, { type, payload }) {
         }
       }
     }
+    case INVALIDATE: {
+      const { networkId, transfers } = payload
+      const changed = transfers.reduce((changed, { tokenAddress, from, to }) => {
+        changed[`${from.toLowerCase()}:${tokenAddress.toLowerCase()}`] = true
+        changed[`${to.toLowerCase()}:${tokenAddress.toLowerCase()}`] = true
+        return changed
+      }, {})
+      return invalidateBalances(
+        state,
+        networkId,
+        (address, tokenAddress) => changed[`${address.toLowerCase()}:${tokenAddress.toLowerCase()}`]
+      )
+    }
+    case INVALIDATE_ALL: {
+      const { networkId } = payload
+      return invalidateBalances(state, networkId, () => true)
+    }
     default: {
       throw Error(`Unexpected action type in BalancesContext reducer: '${type}'.`)
     }
@@ -44,31 +91,118 @@ export default function Provider({ children }) {
     dispatch({ type: UPDATE, payload: { networkId, address, tokenAddress, value, blockNumber } })
   }, [])
 
+  const invalidate = useCallback((networkId, transfers) => {
+    dispatch({ type: INVALIDATE, payload: { networkId, transfers } })
+  }, [])
+
+  const invalidateAll = useCallback(networkId => {
+    dispatch({ type: INVALIDATE_ALL, payload: { networkId } })
+  }, [])
+
   return (
-    <BalancesContext.Provider value={useMemo(() => [state, { update }], [state, update])}>
+    <BalancesContext.Provider
+      value={useMemo(() => [state, { update, invalidate, invalidateAll }], [state, update, invalidate, invalidateAll])}
+    >
       {children}
     </BalancesContext.Provider>
   )
 }
 
+// watches for Transfer logs to or from the addresses with token balances, to mark those balances to be read again
+export function Updater() {
+  const { networkId, library } = useWeb3Context()
+
+  const globalBlockNumber = useBlockNumber()
+
+  const [state, { invalidate, invalidateAll }] = useBalancesContext()
+  const networkBalances = safeAccess(state, [networkId]) || {}
+  // joined so that the effect only reruns when the watched addresses change
+  const watchedKey = Object.keys(networkBalances)
+    .filter(address => Object.keys(networkBalances[address]).some(tokenAddress => tokenAddress !== 'ETH'))
+    .sort()
+    .join(',')
+
+  // the last block searched for transfers
+  const lastChecked = useRef({})
+
+  useEffect(() => {
+    if (!(networkId || networkId === 0) || !library || typeof globalBlockNumber !== 'number') {
+      return
+    }
+
+    const { networkId: lastNetworkId, blockNumber: lastBlockNumber } = lastChecked.current
+    if (lastNetworkId !== networkId || globalBlockNumber <= lastBlockNumber) {
+      // balances are read fresh when first watched, so there's nothing to search yet
+      if (lastNetworkId !== networkId) {
+        lastChecked.current = { networkId, blockNumber: globalBlockNumber }
+      }
+      return
+    }
+    lastChecked.current = { networkId, blockNumber: globalBlockNumber }
+
+    if (!watchedKey) {
+      return
+    }
+    if (globalBlockNumber - lastBlockNumber > MAX_TRANSFER_SEARCH_BLOCKS) {
+      invalidateAll(networkId)
+      return
+    }
+
+    const addressTopics = watchedKey.split(',').map(address => ethers.utils.hexZeroPad(address.toLowerCase(), 32))
+    const filter = { fromBlock: lastBlockNumber + 1, toBlock: globalBlockNumber }
+    Promise.all([
+      library.getLogs({ ...filter, topics: [TRANSFER_TOPIC, addressTopics] }),
+      library.getLogs({ ...filter, topics: [TRANSFER_TOPIC, null, addressTopics] })
+    ])
+      .then(([sent, received]) => {
+        const transfers = [...sent, ...received]
+          // tokens that don't index the addresses in their Transfer events are left to the periodic resync
+          .filter(({ topics }) => topics.length === 3)
+          .map(({ address, topics }) => ({
+            tokenAddress: address,
+            from: ethers.utils.hexDataSlice(topics[1], 12),
+            to: ethers.utils.hexDataSlice(topics[2], 12)
+          }))
+        if (transfers.length > 0) {
+          invalidate(networkId, transfers)
+        }
+      })
+      .catch(() => {
+        // transfers could have been missed, so read everything again
+        invalidateAll(networkId)
+      })
+  }, [networkId, library, globalBlockNumber, watchedKey, invalidate, invalidateAll])
+
+  return null
+}
+
+// ether balances are read on every block, since plain transfers of ether don't log anything, and token balances are
+// read when they're invalidated by the Updater or every RESYNC_BLOCKS blocks
 export function useAddressBalance(address, tokenAddress) {
   const { networkId, library } = useWeb3Context()
 
   const globalBlockNumber = useBlockNumber()
 
   const [state, { update }] = useBalancesContext()
-  const { value, blockNumber } = safeAccess(state, [networkId, address, tokenAddress]) || {}
+  const { value, blockNumber, invalidated } = safeAccess(state, [networkId, address, tokenAddress]) || {}
+  const outdated =
+    tokenAddress === 'ETH'
+      ? blockNumber !== globalBlockNumber
+      : !!invalidated || blockNumber + RESYNC_BLOCKS <= globalBlockNumber
 
   useEffect(() => {
     if (
       isAddress(address) &&
       (tokenAddress === 'ETH' || isAddress(tokenAddress)) &&
-      (value === undefined || blockNumber !== globalBlockNumber) &&
+      (value === undefined || outdated) &&
       (networkId || networkId === 0) &&
       library
     ) {
       let stale = false
-      ;(tokenAddress === 'ETH' ? getEtherBalance(address, library) : getTokenBalance(tokenAddress, address, library))
+      ;(tokenAddress === 'ETH'
+        ? getBatchedEtherBalance(address, library, networkId)
+        : getBatchedTokenBalance(tokenAddress, address, library, networkId)
+      )
         .then(value => {
           if (!stale) {
             update(networkId, address, tokenAddress, value, globalBlockNumber)
@@ -83,7 +217,7 @@ export function useAddressBalance(address, tokenAddress) {
         stale = true
       }
     }
-  }, [address, tokenAddress, value, blockNumber, globalBlockNumber, networkId, library, update])
+  }, [address, tokenAddress, value, outdated, globalBlockNumber, networkId, library, update])
 
   return value
 }
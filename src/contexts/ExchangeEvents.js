@@ -0,0 +1,190 @@
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect, useState } from 'react'
+import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
+
+import EXCHANGE_ABI from '../constants/abis/exchange'
+import { safeAccess, isAddress } from '../utils'
+import { useBlockNumber } from './Application'
+import { useTokenDetails } from './Tokens'
+
+export const EXCHANGE_EVENTS = {
+  TOKEN_PURCHASE: 'TokenPurchase',
+  ETH_PURCHASE: 'EthPurchase',
+  ADD_LIQUIDITY: 'AddLiquidity',
+  REMOVE_LIQUIDITY: 'RemoveLiquidity'
+}
+
+const EXCHANGE_INTERFACE = new ethers.utils.Interface(EXCHANGE_ABI)
+const EVENT_TOPICS = Object.values(EXCHANGE_EVENTS).map(name => EXCHANGE_INTERFACE.events[name].topic)
+
+// nodes limit how many blocks a single log query can cover, so longer ranges are read in chunks that are each cached
+// as soon as they're read
+export const MAX_BLOCKS_PER_QUERY = 5000
+
+const EVENTS = 'EVENTS'
+const FROM_BLOCK = 'FROM_BLOCK'
+const TO_BLOCK = 'TO_BLOCK'
+
+const UPDATE = 'UPDATE'
+
+const ExchangeEventsContext = createContext()
+
+function useExchangeEventsContext() {
+  return useContext(ExchangeEventsContext)
+}
+
+function compareEvents(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+}
+
+export function reducer(state, { type, payload }) {
+  switch (type) {
+    case UPDATE: {
+      const { networkId, exchangeAddress, events, fromBlock, toBlock } = payload
+      const cached = safeAccess(state, [networkId, exchangeAddress]) || {}
+
+      // the new range always touches the cached one, so the cache stays a single range of blocks
+      return {
+        ...state,
+        [networkId]: {
+          ...(safeAccess(state, [networkId]) || {}),
+          [exchangeAddress]: {
+            [EVENTS]: [
+              ...(cached[EVENTS] || []).filter(event => event.blockNumber < fromBlock || event.blockNumber > toBlock),
+              ...events
+            ].sort(compareEvents),
+            [FROM_BLOCK]: cached[FROM_BLOCK] === undefined ? fromBlock : Math.min(cached[FROM_BLOCK], fromBlock),
+            [TO_BLOCK]: cached[TO_BLOCK] === undefined ? toBlock : Math.max(cached[TO_BLOCK], toBlock)
+          }
+        }
+      }
+    }
+    default: {
+      throw Error(`Unexpected action type in ExchangeEventsContext reducer: '${type}'.`)
+    }
+  }
+}
+
+export default function Provider({ children }) {
+  const [state, dispatch] = useReducer(reducer, {})
+
+  const update = useCallback((networkId, exchangeAddress, events, fromBlock, toBlock) => {
+    dispatch({ type: UPDATE, payload: { networkId, exchangeAddress, events, fromBlock, toBlock } })
+  }, [])
+
+  return (
+    <ExchangeEventsContext.Provider value={useMemo(() => [state, { update }], [state, update])}>
+      {children}
+    </ExchangeEventsContext.Provider>
+  )
+}
+
+// decodes an exchange log into { name, exchangeAddress, blockNumber, logIndex, transactionHash, values }, or returns
+// null if it isn't one of EXCHANGE_EVENTS
+export function decodeExchangeLog(log) {
+  let event
+  try {
+    event = EXCHANGE_INTERFACE.parseLog(log)
+  } catch {}
+  if (!event || !Object.values(EXCHANGE_EVENTS).includes(event.name)) {
+    return null
+  }
+
+  return {
+    name: event.name,
+    exchangeAddress: log.address,
+    blockNumber: log.blockNumber,
+    logIndex: log.logIndex,
+    transactionHash: log.transactionHash,
+    values: EXCHANGE_INTERFACE.events[event.name].inputs.reduce((accumulator, { name }) => {
+      accumulator[name] = event.values[name]
+      return accumulator
+    }, {})
+  }
+}
+
+// reads the events of an exchange between two blocks, inclusive
+export async function getExchangeEvents(library, exchangeAddress, fromBlock, toBlock) {
+  const logs = await library.getLogs({ address: exchangeAddress, fromBlock, toBlock, topics: [EVENT_TOPICS] })
+  return logs.map(decodeExchangeLog).filter(event => event)
+}
+
+// reads the events of every exchange between two blocks, inclusive, that were triggered by account, i.e. its own trades
+// and liquidity changes
+export async function getAccountExchangeEvents(library, account, fromBlock, toBlock) {
+  const logs = await library.getLogs({
+    fromBlock,
+    toBlock,
+    topics: [EVENT_TOPICS, ethers.utils.hexZeroPad(account.toLowerCase(), 32)]
+  })
+  return logs.map(decodeExchangeLog).filter(event => event)
+}
+
+// the next blocks to read, inclusive, to extend a cached range of blocks over startBlock up to latestBlock: the latest
+// blocks first, then back to startBlock, then forward to new blocks. returns undefined once the range is covered
+export function getNextRange(startBlock, latestBlock, cachedFromBlock, cachedToBlock) {
+  if (cachedFromBlock === undefined) {
+    return [Math.max(startBlock, latestBlock - MAX_BLOCKS_PER_QUERY + 1), latestBlock]
+  } else if (startBlock < cachedFromBlock) {
+    return [Math.max(startBlock, cachedFromBlock - MAX_BLOCKS_PER_QUERY), cachedFromBlock - 1]
+  } else if (cachedToBlock < latestBlock) {
+    return [cachedToBlock + 1, Math.min(latestBlock, cachedToBlock + MAX_BLOCKS_PER_QUERY)]
+  }
+}
+
+// returns the events of the exchange for tokenAddress from fromBlock up to the latest block, oldest first, or undefined
+// until they've all been read, along with the error of the last failed read. only the blocks that aren't cached yet
+// are read, and failed reads are retried with the next block
+export function useExchangeEvents(tokenAddress, fromBlock) {
+  const { networkId, library } = useWeb3Context()
+
+  const globalBlockNumber = useBlockNumber()
+  const { exchangeAddress } = useTokenDetails(tokenAddress)
+
+  const [state, { update }] = useExchangeEventsContext()
+  const { [EVENTS]: events, [FROM_BLOCK]: cachedFromBlock, [TO_BLOCK]: cachedToBlock } =
+    safeAccess(state, [networkId, exchangeAddress]) || {}
+
+  const startBlock = Math.max(0, fromBlock || 0)
+
+  const [error, setError] = useState()
+
+  useEffect(() => {
+    if (
+      isAddress(exchangeAddress) &&
+      (networkId || networkId === 0) &&
+      library &&
+      typeof globalBlockNumber === 'number' &&
+      startBlock <= globalBlockNumber
+    ) {
+      const range = getNextRange(startBlock, globalBlockNumber, cachedFromBlock, cachedToBlock)
+      if (range) {
+        let stale = false
+        getExchangeEvents(library, exchangeAddress, ...range)
+          .then(newEvents => {
+            if (!stale) {
+              setError()
+              update(networkId, exchangeAddress, newEvents, ...range)
+            }
+          })
+          .catch(error => {
+            if (!stale) {
+              setError(error)
+            }
+          })
+
+        return () => {
+          stale = true
+        }
+      }
+    }
+  }, [exchangeAddress, networkId, library, globalBlockNumber, startBlock, cachedFromBlock, cachedToBlock, update])
+
+  const rangeEvents = useMemo(
+    () =>
+      events && cachedFromBlock <= startBlock ? events.filter(event => event.blockNumber >= startBlock) : undefined,
+    [events, cachedFromBlock, startBlock]
+  )
+
+  return [rangeEvents, error]
+}
@@ -0,0 +1,168 @@
+import { ethers } from 'ethers'
+
+import EXCHANGE_ABI from '../constants/abis/exchange'
+import {
+  EXCHANGE_EVENTS,
+  MAX_BLOCKS_PER_QUERY,
+  decodeExchangeLog,
+  getExchangeEvents,
+  getNextRange,
+  reducer
+} from './ExchangeEvents'
+
+const EXCHANGE_INTERFACE = new ethers.utils.Interface(EXCHANGE_ABI)
+
+const EXCHANGE = '0x2a1530C4C41db0B0b2bB646CB5Eb1A67b7158667'
+const BUYER = '0x0000000000000000000000000000000000000001'
+
+// a log as a node returns it, for an exchange event with the given indexed values
+function stubLog(name, values, blockNumber, logIndex = 0, data = '0x') {
+  return {
+    address: EXCHANGE,
+    blockNumber,
+    logIndex,
+    transactionHash: ethers.utils.hexZeroPad(ethers.utils.hexlify(blockNumber * 100 + logIndex), 32),
+    topics: EXCHANGE_INTERFACE.events[name].encodeTopics(values),
+    data
+  }
+}
+
+function stubEvent(blockNumber, logIndex = 0) {
+  return { name: EXCHANGE_EVENTS.TOKEN_PURCHASE, blockNumber, logIndex }
+}
+
+describe('decodeExchangeLog', () => {
+  it('decodes trades and liquidity changes', () => {
+    const event = decodeExchangeLog(
+      stubLog(
+        EXCHANGE_EVENTS.TOKEN_PURCHASE,
+        [BUYER, ethers.utils.bigNumberify(10), ethers.utils.bigNumberify(20)],
+        7,
+        3
+      )
+    )
+
+    expect(event.name).toBe(EXCHANGE_EVENTS.TOKEN_PURCHASE)
+    expect(event.exchangeAddress).toBe(EXCHANGE)
+    expect(event.blockNumber).toBe(7)
+    expect(event.logIndex).toBe(3)
+    expect(event.values.buyer).toBe(BUYER)
+    expect(event.values.eth_sold.toNumber()).toBe(10)
+    expect(event.values.tokens_bought.toNumber()).toBe(20)
+
+    const removal = decodeExchangeLog(
+      stubLog(EXCHANGE_EVENTS.REMOVE_LIQUIDITY, [BUYER, ethers.utils.bigNumberify(1), ethers.utils.bigNumberify(2)], 8)
+    )
+    expect(removal.name).toBe(EXCHANGE_EVENTS.REMOVE_LIQUIDITY)
+    expect(Object.keys(removal.values)).toEqual(['provider', 'eth_amount', 'token_amount'])
+  })
+
+  it('ignores pool token transfers and logs of other contracts', () => {
+    const transfer = stubLog('Transfer', [BUYER, BUYER], 7, 0, ethers.utils.hexZeroPad('0x01', 32))
+    expect(decodeExchangeLog(transfer)).toBe(null)
+    expect(decodeExchangeLog({ ...transfer, topics: [ethers.utils.id('Unknown()')] })).toBe(null)
+  })
+})
+
+describe('getExchangeEvents', () => {
+  it('reads the exchange events in a range, skipping logs it can not decode', async () => {
+    const logs = [
+      stubLog(EXCHANGE_EVENTS.ETH_PURCHASE, [BUYER, ethers.utils.bigNumberify(5), ethers.utils.bigNumberify(6)], 11),
+      { ...stubLog(EXCHANGE_EVENTS.ETH_PURCHASE, [BUYER, null, null], 12), topics: [ethers.utils.id('Unknown()')] }
+    ]
+    const library = { getLogs: jest.fn(() => Promise.resolve(logs)) }
+
+    const events = await getExchangeEvents(library, EXCHANGE, 10, 20)
+
+    expect(library.getLogs).toHaveBeenCalledWith({
+      address: EXCHANGE,
+      fromBlock: 10,
+      toBlock: 20,
+      topics: [Object.values(EXCHANGE_EVENTS).map(name => EXCHANGE_INTERFACE.events[name].topic)]
+    })
+    expect(events.map(({ name, blockNumber }) => [name, blockNumber])).toEqual([[EXCHANGE_EVENTS.ETH_PURCHASE, 11]])
+  })
+
+  it('rejects when the node does', async () => {
+    const library = { getLogs: () => Promise.reject(Error('query returned more than 10000 results')) }
+    await expect(getExchangeEvents(library, EXCHANGE, 0, 20)).rejects.toThrow('query returned more than 10000 results')
+  })
+})
+
+describe('getNextRange', () => {
+  const latest = 100000
+
+  it('reads the latest blocks first', () => {
+    expect(getNextRange(0, latest, undefined, undefined)).toEqual([latest - MAX_BLOCKS_PER_QUERY + 1, latest])
+    expect(getNextRange(latest - 10, latest, undefined, undefined)).toEqual([latest - 10, latest])
+  })
+
+  it('then extends the cached range back to the start block, a chunk at a time', () => {
+    const cachedFromBlock = latest - MAX_BLOCKS_PER_QUERY + 1
+    expect(getNextRange(0, latest, cachedFromBlock, latest)).toEqual([
+      cachedFromBlock - MAX_BLOCKS_PER_QUERY,
+      cachedFromBlock - 1
+    ])
+    expect(getNextRange(cachedFromBlock - 10, latest, cachedFromBlock, latest)).toEqual([
+      cachedFromBlock - 10,
+      cachedFromBlock - 1
+    ])
+  })
+
+  it('then forward to new blocks', () => {
+    expect(getNextRange(50, latest + 3, 0, latest)).toEqual([latest + 1, latest + 3])
+    expect(getNextRange(50, latest + 2 * MAX_BLOCKS_PER_QUERY, 0, latest)).toEqual([
+      latest + 1,
+      latest + MAX_BLOCKS_PER_QUERY
+    ])
+  })
+
+  it('returns nothing once the range is covered', () => {
+    expect(getNextRange(50, latest, 0, latest)).toBeUndefined()
+  })
+})
+
+describe('reducer', () => {
+  function update(state, events, fromBlock, toBlock) {
+    return reducer(state, {
+      type: 'UPDATE',
+      payload: { networkId: 1, exchangeAddress: EXCHANGE, events, fromBlock, toBlock }
+    })
+  }
+
+  it('merges ranges read in any order into one sorted range', () => {
+    let state = update({}, [stubEvent(95), stubEvent(91, 2), stubEvent(91, 1)], 90, 100)
+    state = update(state, [stubEvent(85)], 80, 89)
+    state = update(state, [stubEvent(101)], 101, 110)
+
+    const cached = state[1][EXCHANGE]
+    expect(cached.FROM_BLOCK).toBe(80)
+    expect(cached.TO_BLOCK).toBe(110)
+    expect(cached.EVENTS.map(({ blockNumber, logIndex }) => [blockNumber, logIndex])).toEqual([
+      [85, 0],
+      [91, 1],
+      [91, 2],
+      [95, 0],
+      [101, 0]
+    ])
+  })
+
+  it('replaces the events of blocks that are read again', () => {
+    let state = update({}, [stubEvent(95), stubEvent(99)], 90, 100)
+    state = update(state, [stubEvent(100)], 98, 100)
+
+    expect(state[1][EXCHANGE].EVENTS.map(({ blockNumber }) => blockNumber)).toEqual([95, 100])
+  })
+
+  it('keeps exchanges and networks apart', () => {
+    const state = update({ 1: { other: { EVENTS: [] } }, 4: {} }, [], 1, 2)
+    expect(Object.keys(state).sort()).toEqual(['1', '4'])
+    expect(Object.keys(state[1]).sort()).toEqual([EXCHANGE, 'other'].sort())
+  })
+
+  it('throws on unknown actions', () => {
+    expect(() => reducer({}, { type: 'UNKNOWN' })).toThrow(
+      "Unexpected action type in ExchangeEventsContext reducer: 'UNKNOWN'."
+    )
+  })
+})
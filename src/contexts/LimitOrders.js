@@ -0,0 +1,318 @@
+import React, { useMemo, useCallback, useEffect, useRef } from 'react'
+import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
+
+import { USER_REJECTED_REQUEST } from '../constants'
+import { safeAccess, calculateGasMargin, getExchangeContract } from '../utils'
+import { getDirectTrade } from '../utils/routing'
+import { useBlockNumber } from './Application'
+import { useTokenDetails } from './Tokens'
+import { useExchangeReserves } from './Balances'
+import { useLimitOrdersManager, useUserSettingsManager } from './LocalStorage'
+import { decodeExchangeLog } from './ExchangeEvents'
+import {
+  useAllTransactions,
+  useTransactionAdder,
+  getLatestReplacementHash,
+  getTransactionState,
+  getReplacementType,
+  getReplacedByHash,
+  TRANSACTION_STATES,
+  REPLACEMENT_TYPES
+} from './Transactions'
+
+export const LIMIT_ORDER_STATES = {
+  // waiting for the target rate
+  OPEN: 'OPEN',
+  // the swap has been sent and is waiting to be mined
+  TRIGGERED: 'TRIGGERED',
+  FILLED: 'FILLED',
+  EXPIRED: 'EXPIRED',
+  CANCELLED: 'CANCELLED'
+}
+
+function getCurrentTime() {
+  return Math.floor(Date.now() / 1000)
+}
+
+// the exchange method, arguments and value for selling all of an order's input for at least minimumOutput
+function getSwapCall({ inputCurrency, outputCurrency, inputAmount }, minimumOutput, deadline) {
+  if (inputCurrency === 'ETH') {
+    return ['ethToTokenSwapInput', [minimumOutput, deadline], inputAmount]
+  } else if (outputCurrency === 'ETH') {
+    return ['tokenToEthSwapInput', [inputAmount, minimumOutput, deadline], ethers.constants.Zero]
+  } else {
+    return [
+      'tokenToTokenSwapInput',
+      [inputAmount, minimumOutput, ethers.constants.One, deadline, outputCurrency],
+      ethers.constants.Zero
+    ]
+  }
+}
+
+// watches a single open or triggered order, submitting its swap once the target rate is reachable and settling it once
+// the swap is mined
+function LimitOrderWatcher({ order, updateOrder }) {
+  const { library, account } = useWeb3Context()
+
+  const globalBlockNumber = useBlockNumber()
+  const allTransactions = useAllTransactions()
+  const addTransaction = useTransactionAdder()
+  const [{ slippage, deadline: deadlineFromNow, gasMargin }] = useUserSettingsManager()
+
+  const { id, inputCurrency, outputCurrency, state, hash, expiresAt } = order
+  const { exchangeAddress: inputExchangeAddress } = useTokenDetails(inputCurrency)
+  const { exchangeAddress: outputExchangeAddress } = useTokenDetails(outputCurrency)
+  const exchangeAddress = inputCurrency === 'ETH' ? outputExchangeAddress : inputExchangeAddress
+  const { reserveETH: inputReserveETH, reserveToken: inputReserveToken } = useExchangeReserves(inputCurrency)
+  const { reserveETH: outputReserveETH, reserveToken: outputReserveToken } = useExchangeReserves(outputCurrency)
+
+  // the wallet prompt can outlast several blocks
+  const submitting = useRef(false)
+
+  // the order can be cancelled, unmounting this watcher, while its swap is being estimated or signed
+  const latestState = useRef(state)
+  latestState.current = state
+  useEffect(() => {
+    return () => {
+      latestState.current = undefined
+    }
+  }, [])
+
+  // the last error submitting the swap, which is kept on the order so that the list can show why it isn't filling
+  const lastError = useRef(order.error)
+
+  // settle triggered orders once their swap is mined, replaced or dropped
+  useEffect(() => {
+    if (state !== LIMIT_ORDER_STATES.TRIGGERED || !exchangeAddress) {
+      return
+    }
+
+    const latestHash = getLatestReplacementHash(allTransactions, hash)
+    const transaction = allTransactions[latestHash]
+    if (!transaction) {
+      return
+    }
+
+    const reopened = { state: getCurrentTime() < expiresAt ? LIMIT_ORDER_STATES.OPEN : LIMIT_ORDER_STATES.EXPIRED }
+    function settle(minedHash, receipt, replacementType) {
+      const filled =
+        receipt.status !== 0 && receipt.logs.some(log => log.address === exchangeAddress && decodeExchangeLog(log))
+      if (filled) {
+        updateOrder(id, { state: LIMIT_ORDER_STATES.FILLED, hash: minedHash })
+      } else if (replacementType === REPLACEMENT_TYPES.CANCEL) {
+        updateOrder(id, { state: LIMIT_ORDER_STATES.CANCELLED })
+      } else {
+        // the price moved before the swap was mined, or the wallet replaced it with something else, so the order waits
+        // for the target again
+        updateOrder(id, reopened)
+      }
+    }
+
+    const transactionState = getTransactionState(transaction)
+    if (transactionState === TRANSACTION_STATES.CONFIRMED) {
+      settle(latestHash, transaction.receipt, getReplacementType(transaction))
+    } else if (transactionState === TRANSACTION_STATES.DROPPED) {
+      updateOrder(id, reopened)
+    } else if (transactionState === TRANSACTION_STATES.REPLACED && library) {
+      // replaced by a transaction we didn't send, e.g. a speed up from the wallet itself, so check its receipt here.
+      // it was found mined, so a missing receipt means the node is behind, and it's checked again on the next block
+      const replacedByHash = getReplacedByHash(transaction)
+      let stale = false
+      library
+        .getTransactionReceipt(replacedByHash)
+        .then(receipt => {
+          if (!stale && receipt) {
+            settle(replacedByHash, receipt, null)
+          }
+        })
+        .catch(() => {})
+      return () => {
+        stale = true
+      }
+    }
+  }, [id, state, hash, expiresAt, exchangeAddress, allTransactions, library, globalBlockNumber, updateOrder])
+
+  // check open orders against the reserves on every block
+  useEffect(() => {
+    if (state !== LIMIT_ORDER_STATES.OPEN || typeof globalBlockNumber !== 'number') {
+      return
+    }
+
+    const now = getCurrentTime()
+    if (now >= expiresAt) {
+      updateOrder(id, { state: LIMIT_ORDER_STATES.EXPIRED })
+      return
+    }
+
+    if (submitting.current || !library || !account || !exchangeAddress) {
+      return
+    }
+
+    const inputAmount = ethers.utils.bigNumberify(order.inputAmount)
+    const minimumOutput = ethers.utils.bigNumberify(order.minimumOutput)
+    const reserves = {
+      [inputCurrency]: { reserveETH: inputReserveETH, reserveToken: inputReserveToken },
+      [outputCurrency]: { reserveETH: outputReserveETH, reserveToken: outputReserveToken }
+    }
+    const trade = getDirectTrade(inputCurrency, outputCurrency, inputAmount, true, reserves)
+    if (!trade || trade.outputAmount.lt(minimumOutput)) {
+      return
+    }
+
+    // allow the usual slippage below the current output, but never below the order's own minimum
+    const slippageBound = trade.outputAmount.sub(
+      trade.outputAmount.mul(ethers.utils.bigNumberify(slippage)).div(ethers.utils.bigNumberify(10000))
+    )
+    const [method, args, value] = getSwapCall(
+      { inputCurrency, outputCurrency, inputAmount },
+      slippageBound.gt(minimumOutput) ? slippageBound : minimumOutput,
+      Math.min(now + deadlineFromNow, expiresAt)
+    )
+
+    const contract = getExchangeContract(exchangeAddress, library, account)
+    submitting.current = true
+    contract.estimate[method](...args, { value })
+      .then(estimatedGasLimit => {
+        if (latestState.current !== LIMIT_ORDER_STATES.OPEN) {
+          return
+        }
+
+        return contract[method](...args, {
+          value,
+          gasLimit: calculateGasMargin(estimatedGasLimit, ethers.utils.bigNumberify(gasMargin))
+        }).then(
+          response => {
+            // triggered first, so that the swap can't be sent twice even if tracking it fails. an order cancelled while
+            // the wallet was open stays cancelled, but keeps the hash of the swap that was signed anyway
+            updateOrder(id, latest =>
+              latest.state === LIMIT_ORDER_STATES.OPEN
+                ? { state: LIMIT_ORDER_STATES.TRIGGERED, hash: response.hash, error: undefined }
+                : { hash: response.hash }
+            )
+            lastError.current = undefined
+            addTransaction(response, { limitOrder: { id } })
+          },
+          error => {
+            // declining to sign cancels the order rather than prompting again on the next block
+            if (error && error.code === USER_REJECTED_REQUEST) {
+              updateOrder(id, { state: LIMIT_ORDER_STATES.CANCELLED })
+            } else {
+              throw error
+            }
+          }
+        )
+      })
+      // swaps that would fail, e.g. for lack of balance or allowance, and any other errors are retried on the next block
+      .catch(error => {
+        const message = (error && error.message) || 'Unknown error.'
+        if (message !== lastError.current) {
+          lastError.current = message
+          updateOrder(id, { error: message })
+        }
+      })
+      .then(() => {
+        submitting.current = false
+      })
+  }, [
+    order.inputAmount,
+    order.minimumOutput,
+    id,
+    state,
+    expiresAt,
+    inputCurrency,
+    outputCurrency,
+    globalBlockNumber,
+    library,
+    account,
+    exchangeAddress,
+    inputReserveETH,
+    inputReserveToken,
+    outputReserveETH,
+    outputReserveToken,
+    slippage,
+    deadlineFromNow,
+    gasMargin,
+    addTransaction,
+    updateOrder
+  ])
+
+  return null
+}
+
+// watches the open and triggered orders of the connected account, while the app is open
+export function Updater() {
+  const { networkId, account } = useWeb3Context()
+
+  const [limitOrders, { updateLimitOrder }] = useLimitOrdersManager()
+  const orders = safeAccess(limitOrders, [networkId, account]) || {}
+
+  const updateOrder = useCallback(
+    (id, changes) => {
+      updateLimitOrder(networkId, account, id, changes)
+    },
+    [updateLimitOrder, networkId, account]
+  )
+
+  return (
+    <>
+      {Object.keys(orders)
+        .filter(id => orders[id].state === LIMIT_ORDER_STATES.OPEN || orders[id].state === LIMIT_ORDER_STATES.TRIGGERED)
+        .map(id => (
+          <LimitOrderWatcher key={id} order={orders[id]} updateOrder={updateOrder} />
+        ))}
+    </>
+  )
+}
+
+// returns the connected account's orders, newest first, with amounts as BigNumbers, and actions to manage them
+export function useLimitOrders() {
+  const { networkId, account } = useWeb3Context()
+
+  const [limitOrders, { addLimitOrder, updateLimitOrder, removeLimitOrder }] = useLimitOrdersManager()
+  const accountOrders = safeAccess(limitOrders, [networkId, account])
+
+  const orders = useMemo(
+    () =>
+      Object.keys(accountOrders || {})
+        .map(id => ({
+          ...accountOrders[id],
+          inputAmount: ethers.utils.bigNumberify(accountOrders[id].inputAmount),
+          minimumOutput: ethers.utils.bigNumberify(accountOrders[id].minimumOutput)
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt),
+    [accountOrders]
+  )
+
+  const placeLimitOrder = useCallback(
+    (inputCurrency, outputCurrency, inputAmount, minimumOutput, expiresAt) => {
+      addLimitOrder(networkId, account, {
+        id: `${Date.now()}`,
+        inputCurrency,
+        outputCurrency,
+        inputAmount: inputAmount.toString(),
+        minimumOutput: minimumOutput.toString(),
+        createdAt: getCurrentTime(),
+        expiresAt,
+        state: LIMIT_ORDER_STATES.OPEN
+      })
+    },
+    [addLimitOrder, networkId, account]
+  )
+
+  const cancelLimitOrder = useCallback(
+    id => {
+      updateLimitOrder(networkId, account, id, { state: LIMIT_ORDER_STATES.CANCELLED })
+    },
+    [updateLimitOrder, networkId, account]
+  )
+
+  const removeOrder = useCallback(
+    id => {
+      removeLimitOrder(networkId, account, id)
+    },
+    [removeLimitOrder, networkId, account]
+  )
+
+  return [orders, { placeLimitOrder, cancelLimitOrder, removeLimitOrder: removeOrder }]
+}
@@ -0,0 +1,195 @@
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect } from 'react'
+import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
+
+import { safeAccess, isAddress } from '../utils'
+import { getBatchedEtherBalance, getBatchedTokenBalance, getBatchedTotalSupply } from '../utils/multicall'
+import { parseLiquidityChange } from '../utils/liquidity'
+import { useBlockNumber } from './Application'
+import { useAllTokenDetails } from './Tokens'
+import { useAllTransactions, getTransactionState, getTransactionCustomData, TRANSACTION_STATES } from './Transactions'
+import { useLiquidityHistoryManager } from './LocalStorage'
+
+const UPDATE = 'UPDATE'
+
+const LiquidityPositionsContext = createContext()
+
+function useLiquidityPositionsContext() {
+  return useContext(LiquidityPositionsContext)
+}
+
+function reducer(state, { type, payload }) {
+  switch (type) {
+    case UPDATE: {
+      const { networkId, address, positions, blockNumber } = payload
+      return {
+        ...state,
+        [networkId]: {
+          ...(safeAccess(state, [networkId]) || {}),
+          [address]: {
+            positions,
+            blockNumber
+          }
+        }
+      }
+    }
+    default: {
+      throw Error(`Unexpected action type in LiquidityPositionsContext reducer: '${type}'.`)
+    }
+  }
+}
+
+export default function Provider({ children }) {
+  const [state, dispatch] = useReducer(reducer, {})
+
+  const update = useCallback((networkId, address, positions, blockNumber) => {
+    dispatch({ type: UPDATE, payload: { networkId, address, positions, blockNumber } })
+  }, [])
+
+  return (
+    <LiquidityPositionsContext.Provider value={useMemo(() => [state, { update }], [state, update])}>
+      {children}
+    </LiquidityPositionsContext.Provider>
+  )
+}
+
+// records the liquidity changed by each confirmed add or remove liquidity transaction, which outlives the transaction
+export function Updater() {
+  const { networkId, account } = useWeb3Context()
+
+  const allTransactions = useAllTransactions()
+  const [liquidityHistory, { recordLiquidityChanges }] = useLiquidityHistoryManager()
+
+  useEffect(() => {
+    if ((networkId || networkId === 0) && isAddress(account)) {
+      const recorded = safeAccess(liquidityHistory, [networkId, account]) || {}
+
+      const changes = {}
+      Object.keys(allTransactions)
+        .filter(
+          hash =>
+            !recorded[hash] &&
+            getTransactionState(allTransactions[hash]) === TRANSACTION_STATES.CONFIRMED &&
+            getTransactionCustomData(allTransactions[hash]).liquidity
+        )
+        .forEach(hash => {
+          const { tokenAddress, exchangeAddress } = getTransactionCustomData(allTransactions[hash]).liquidity
+          const { receipt } = allTransactions[hash]
+          const change =
+            receipt.status !== 0 && isAddress(tokenAddress) && isAddress(exchangeAddress)
+              ? parseLiquidityChange(receipt, exchangeAddress)
+              : null
+
+          if (change) {
+            changes[hash] = {
+              tokenAddress,
+              type: change.type,
+              poolTokens: change.poolTokens.toString(),
+              ethAmount: change.ethAmount.toString(),
+              tokenAmount: change.tokenAmount.toString(),
+              blockNumber: receipt.blockNumber,
+              transactionIndex: receipt.transactionIndex
+            }
+          }
+        })
+
+      if (Object.keys(changes).length > 0) {
+        recordLiquidityChanges(networkId, account, changes)
+      }
+    }
+  }, [networkId, account, allTransactions, liquidityHistory, recordLiquidityChanges])
+
+  return null
+}
+
+// fetches the pool token balance of an address in an exchange, and the exchange's supply and reserves if it's non-zero,
+// batched with the reads for every other exchange
+async function getPosition(tokenAddress, exchangeAddress, address, library, networkId) {
+  const poolTokenBalance = await getBatchedTokenBalance(exchangeAddress, address, library, networkId)
+  if (poolTokenBalance.isZero()) {
+    return null
+  }
+
+  const [totalPoolTokens, reserveETH, reserveToken] = await Promise.all([
+    getBatchedTotalSupply(exchangeAddress, library, networkId),
+    getBatchedEtherBalance(exchangeAddress, library, networkId),
+    getBatchedTokenBalance(tokenAddress, exchangeAddress, library, networkId)
+  ])
+
+  return { exchangeAddress, poolTokenBalance, totalPoolTokens, reserveETH, reserveToken }
+}
+
+// returns the positions of the account in every exchange it holds pool tokens in, keyed by token address, refreshed
+// on every block
+export function useLiquidityPositions() {
+  const { networkId, library, account } = useWeb3Context()
+
+  const globalBlockNumber = useBlockNumber()
+  const allTokens = useAllTokenDetails()
+
+  // pairs of token and exchange addresses, joined so that fetches only restart when the set of exchanges changes
+  const exchangesKey = Object.keys(allTokens)
+    .filter(tokenAddress => isAddress(tokenAddress) && isAddress(allTokens[tokenAddress].exchangeAddress))
+    .map(tokenAddress => `${tokenAddress}:${allTokens[tokenAddress].exchangeAddress}`)
+    .join(',')
+
+  const [state, { update }] = useLiquidityPositionsContext()
+  const { positions, blockNumber } = safeAccess(state, [networkId, account]) || {}
+
+  useEffect(() => {
+    if (
+      isAddress(account) &&
+      (positions === undefined || blockNumber !== globalBlockNumber) &&
+      (networkId || networkId === 0) &&
+      library
+    ) {
+      let stale = false
+
+      const exchanges = exchangesKey ? exchangesKey.split(',').map(pair => pair.split(':')) : []
+      Promise.all(
+        exchanges.map(([tokenAddress, exchangeAddress]) =>
+          getPosition(tokenAddress, exchangeAddress, account, library, networkId).catch(() => null)
+        )
+      ).then(results => {
+        if (!stale) {
+          const newPositions = {}
+          results.forEach((position, i) => {
+            if (position) {
+              newPositions[exchanges[i][0]] = position
+            }
+          })
+          update(networkId, account, newPositions, globalBlockNumber)
+        }
+      })
+
+      return () => {
+        stale = true
+      }
+    }
+  }, [account, exchangesKey, positions, blockNumber, globalBlockNumber, networkId, library, update])
+
+  return positions
+}
+
+// returns the recorded liquidity changes of the account in the exchange for tokenAddress, in the order they were mined
+export function useLiquidityHistory(tokenAddress) {
+  const { networkId, account } = useWeb3Context()
+
+  const [liquidityHistory] = useLiquidityHistoryManager()
+  const accountHistory = safeAccess(liquidityHistory, [networkId, account])
+
+  return useMemo(
+    () =>
+      Object.keys(accountHistory || {})
+        .map(hash => accountHistory[hash])
+        .filter(change => change.tokenAddress === tokenAddress)
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.transactionIndex - b.transactionIndex)
+        .map(change => ({
+          ...change,
+          poolTokens: ethers.utils.bigNumberify(change.poolTokens),
+          ethAmount: ethers.utils.bigNumberify(change.ethAmount),
+          tokenAmount: ethers.utils.bigNumberify(change.tokenAmount)
+        })),
+    [accountHistory, tokenAddress]
+  )
+}
@@ -1,18 +1,158 @@
-import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect, useRef } from 'react'
 
-const UNISWAP = 'UNISWAP'
+import {
+  DEFAULT_TOKEN_LIST_URL,
+  DEFAULT_SLIPPAGE_TOLERANCE,
+  MAX_SLIPPAGE_TOLERANCE,
+  DEFAULT_DEADLINE_FROM_NOW,
+  MIN_DEADLINE_FROM_NOW,
+  MAX_DEADLINE_FROM_NOW,
+  DEFAULT_GAS_MARGIN,
+  MAX_GAS_MARGIN,
+  APPROVAL_TYPES,
+  DEFAULT_NETWORK_ID,
+  SUPPORTED_NETWORK_IDS
+} from '../constants'
+import { isAddress } from '../utils'
+import { LOCAL_STORAGE_KEY, CUSTOM_NETWORK, isCustomNetwork } from '../utils/customNetwork'
 
 const VERSION = 'VERSION'
+// the version of the last migration, or 0 while there are none
 const CURRENT_VERSION = 0
 const LAST_SAVED = 'LAST_SAVED'
 
 const BETA_MESSAGE_DISMISSED = 'BETA_MESSAGE_DISMISSED'
 const DARK_MODE = 'DARK_MODE'
+const TOKEN_LISTS = 'TOKEN_LISTS'
+const CUSTOM_TOKENS = 'CUSTOM_TOKENS'
+const SLIPPAGE_TOLERANCE = 'SLIPPAGE_TOLERANCE'
+const DEADLINE_FROM_NOW = 'DEADLINE_FROM_NOW'
+const GAS_MARGIN = 'GAS_MARGIN'
+const LIQUIDITY_HISTORY = 'LIQUIDITY_HISTORY'
+const LIMIT_ORDERS = 'LIMIT_ORDERS'
+const APPROVAL_TYPE = 'APPROVAL_TYPE'
+const SELECTED_NETWORK = 'SELECTED_NETWORK'
 
-const UPDATABLE_KEYS = [BETA_MESSAGE_DISMISSED, DARK_MODE]
+const UPDATABLE_KEYS = [
+  BETA_MESSAGE_DISMISSED,
+  DARK_MODE,
+  TOKEN_LISTS,
+  CUSTOM_TOKENS,
+  SLIPPAGE_TOLERANCE,
+  DEADLINE_FROM_NOW,
+  GAS_MARGIN,
+  LIQUIDITY_HISTORY,
+  LIMIT_ORDERS,
+  APPROVAL_TYPE,
+  SELECTED_NETWORK,
+  CUSTOM_NETWORK
+]
 
 const UPDATE_KEY = 'UPDATE_KEY'
 
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max
+}
+
+function isAmount(value) {
+  return typeof value === 'string' && /^\d+$/.test(value)
+}
+
+function isLiquidityChange(value) {
+  return (
+    isPlainObject(value) &&
+    isAddress(value.tokenAddress) &&
+    typeof value.type === 'string' &&
+    isAmount(value.poolTokens) &&
+    isAmount(value.ethAmount) &&
+    isAmount(value.tokenAmount) &&
+    isIntegerBetween(value.blockNumber, 0, Number.MAX_SAFE_INTEGER) &&
+    isIntegerBetween(value.transactionIndex, 0, Number.MAX_SAFE_INTEGER)
+  )
+}
+
+function isCurrency(value) {
+  return value === 'ETH' || !!isAddress(value)
+}
+
+function isLimitOrder(value) {
+  return (
+    isPlainObject(value) &&
+    typeof value.id === 'string' &&
+    isCurrency(value.inputCurrency) &&
+    isCurrency(value.outputCurrency) &&
+    isAmount(value.inputAmount) &&
+    isAmount(value.minimumOutput) &&
+    isIntegerBetween(value.createdAt, 0, Number.MAX_SAFE_INTEGER) &&
+    isIntegerBetween(value.expiresAt, 0, Number.MAX_SAFE_INTEGER) &&
+    typeof value.state === 'string' &&
+    (value.hash === undefined || typeof value.hash === 'string') &&
+    (value.error === undefined || typeof value.error === 'string')
+  )
+}
+
+// every persisted key needs a validator, stored values that fail it fall back to their default without affecting
+// other keys
+const VALIDATORS = {
+  [BETA_MESSAGE_DISMISSED]: value => typeof value === 'boolean',
+  [DARK_MODE]: value => typeof value === 'boolean',
+  [TOKEN_LISTS]: value => isPlainObject(value) && Object.keys(value).every(url => typeof value[url] === 'boolean'),
+  [CUSTOM_TOKENS]: value =>
+    isPlainObject(value) &&
+    Object.keys(value).every(
+      networkId =>
+        isPlainObject(value[networkId]) &&
+        Object.keys(value[networkId]).every(
+          tokenAddress => isAddress(tokenAddress) && isPlainObject(value[networkId][tokenAddress])
+        )
+    ),
+  [SLIPPAGE_TOLERANCE]: value => isIntegerBetween(value, 0, MAX_SLIPPAGE_TOLERANCE),
+  [DEADLINE_FROM_NOW]: value => isIntegerBetween(value, MIN_DEADLINE_FROM_NOW, MAX_DEADLINE_FROM_NOW),
+  [GAS_MARGIN]: value => isIntegerBetween(value, 0, MAX_GAS_MARGIN),
+  [LIQUIDITY_HISTORY]: value =>
+    isPlainObject(value) &&
+    Object.keys(value).every(
+      networkId =>
+        isPlainObject(value[networkId]) &&
+        Object.keys(value[networkId]).every(
+          account =>
+            isPlainObject(value[networkId][account]) &&
+            Object.keys(value[networkId][account]).every(hash => isLiquidityChange(value[networkId][account][hash]))
+        )
+    ),
+  [LIMIT_ORDERS]: value =>
+    isPlainObject(value) &&
+    Object.keys(value).every(
+      networkId =>
+        isPlainObject(value[networkId]) &&
+        Object.keys(value[networkId]).every(
+          account =>
+            isPlainObject(value[networkId][account]) &&
+            Object.keys(value[networkId][account]).every(id => isLimitOrder(value[networkId][account][id]))
+        )
+    ),
+  [SELECTED_NETWORK]: value => SUPPORTED_NETWORK_IDS.includes(value),
+  [CUSTOM_NETWORK]: value => value === null || isCustomNetwork(value),
+  [APPROVAL_TYPE]: value =>
+    isPlainObject(value) &&
+    Object.keys(value).every(
+      networkId =>
+        isPlainObject(value[networkId]) &&
+        Object.keys(value[networkId]).every(
+          tokenAddress =>
+            isAddress(tokenAddress) && Object.values(APPROVAL_TYPES).includes(value[networkId][tokenAddress])
+        )
+    )
+}
+
+// each migration upgrades stored data from the previous version to its own, and runs in order. every key added so
+// far is new and validated on load, so nothing stored at version 0 needs changing yet
+export const MIGRATIONS = []
+
 const LocalStorageContext = createContext()
 
 function useLocalStorageContext() {
@@ -26,9 +166,10 @@ function reducer(state, { type, payload }) {
       if (!UPDATABLE_KEYS.some(k => k === key)) {
         throw Error(`Unexpected key in LocalStorageContext reducer: '${key}'.`)
       } else {
+        // values can also be functions of the current value, for updates made after waiting on something else
         return {
           ...state,
-          [key]: value
+          [key]: typeof value === 'function' ? value(state[key]) : value
         }
       }
     }
@@ -38,21 +179,62 @@ function reducer(state, { type, payload }) {
   }
 }
 
-function init() {
+export function migrate(stored, migrations = MIGRATIONS) {
+  // data saved without a version counts as version 0
+  const storedVersion = Number.isInteger(stored[VERSION]) ? stored[VERSION] : 0
+
+  return migrations
+    .filter(({ version }) => version > storedVersion)
+    .reduce((migrated, { version, migrate: step }) => {
+      try {
+        return { ...step(migrated), [VERSION]: version }
+      } catch {
+        // leave the data as it was, validation will reset anything the migration couldn't handle
+        return { ...migrated, [VERSION]: version }
+      }
+    }, stored)
+}
+
+export function validate(stored, defaults) {
+  return Object.keys(VALIDATORS).reduce(
+    (accumulator, key) => {
+      accumulator[key] = stored[key] !== undefined && VALIDATORS[key](stored[key]) ? stored[key] : defaults[key]
+      return accumulator
+    },
+    { [VERSION]: CURRENT_VERSION }
+  )
+}
+
+export function init() {
   const defaultLocalStorage = {
     [VERSION]: CURRENT_VERSION,
     [BETA_MESSAGE_DISMISSED]: false,
-    [DARK_MODE]: true
+    [DARK_MODE]: true,
+    // maps token list urls to whether they're enabled
+    [TOKEN_LISTS]: { [DEFAULT_TOKEN_LIST_URL]: true },
+    // tokens added by the user, keyed by network and then address
+    [CUSTOM_TOKENS]: {},
+    [SLIPPAGE_TOLERANCE]: DEFAULT_SLIPPAGE_TOLERANCE,
+    [DEADLINE_FROM_NOW]: DEFAULT_DEADLINE_FROM_NOW,
+    [GAS_MARGIN]: DEFAULT_GAS_MARGIN,
+    // liquidity added and removed by each account, keyed by network, account and then transaction hash
+    [LIQUIDITY_HISTORY]: {},
+    // limit orders placed by each account, keyed by network, account and then order id
+    [LIMIT_ORDERS]: {},
+    // the approval type chosen for each token, keyed by network and then address, tokens without one are unlimited
+    [APPROVAL_TYPE]: {},
+    // the network picked in the header, which the app reads from when no wallet is connected
+    [SELECTED_NETWORK]: DEFAULT_NETWORK_ID,
+    // a network set up in the settings, e.g. a local development chain, as { chainId, url, factoryAddress }
+    [CUSTOM_NETWORK]: null
   }
 
   try {
-    const parsed = JSON.parse(window.localStorage.getItem(UNISWAP))
-    if (parsed[VERSION] !== CURRENT_VERSION) {
-      // this is where we could run migration logic
+    const parsed = JSON.parse(window.localStorage.getItem(LOCAL_STORAGE_KEY))
+    if (!isPlainObject(parsed)) {
       return defaultLocalStorage
-    } else {
-      return { ...defaultLocalStorage, ...parsed }
     }
+    return validate(migrate(parsed), defaultLocalStorage)
   } catch {
     return defaultLocalStorage
   }
@@ -76,9 +258,21 @@ export function Updater() {
   const [state] = useLocalStorageContext()
 
   useEffect(() => {
-    window.localStorage.setItem(UNISWAP, JSON.stringify({ ...state, [LAST_SAVED]: Math.floor(Date.now() / 1000) }))
+    window.localStorage.setItem(
+      LOCAL_STORAGE_KEY,
+      JSON.stringify({ ...state, [LAST_SAVED]: Math.floor(Date.now() / 1000) })
+    )
   })
 
+  // the custom network is only read when the app starts, so reload once a change to it has been saved above
+  const customNetwork = state[CUSTOM_NETWORK]
+  const initialCustomNetwork = useRef(customNetwork)
+  useEffect(() => {
+    if (customNetwork !== initialCustomNetwork.current) {
+      window.location.reload()
+    }
+  }, [customNetwork])
+
   return null
 }
 
@@ -106,3 +300,208 @@ export function useDarkModeManager() {
 
   return [state[DARK_MODE], toggleDarkMode]
 }
+
+export function useTokenListsManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  const tokenLists = state[TOKEN_LISTS]
+
+  const toggleTokenList = useCallback(
+    url => {
+      updateKey(TOKEN_LISTS, { ...tokenLists, [url]: !tokenLists[url] })
+    },
+    [updateKey, tokenLists]
+  )
+
+  const addTokenList = useCallback(
+    url => {
+      updateKey(TOKEN_LISTS, { ...tokenLists, [url]: true })
+    },
+    [updateKey, tokenLists]
+  )
+
+  const removeTokenList = useCallback(
+    url => {
+      const { [url]: removed, ...remaining } = tokenLists
+      updateKey(TOKEN_LISTS, remaining)
+    },
+    [updateKey, tokenLists]
+  )
+
+  return [tokenLists, { toggleTokenList, addTokenList, removeTokenList }]
+}
+
+export function useCustomTokensManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  const customTokens = state[CUSTOM_TOKENS]
+
+  const addCustomToken = useCallback(
+    (networkId, tokenAddress, name, symbol, decimals) => {
+      updateKey(CUSTOM_TOKENS, {
+        ...customTokens,
+        [networkId]: { ...customTokens[networkId], [tokenAddress]: { name, symbol, decimals } }
+      })
+    },
+    [updateKey, customTokens]
+  )
+
+  const removeCustomToken = useCallback(
+    (networkId, tokenAddress) => {
+      const { [tokenAddress]: removed, ...remaining } = customTokens[networkId] || {}
+      updateKey(CUSTOM_TOKENS, { ...customTokens, [networkId]: remaining })
+    },
+    [updateKey, customTokens]
+  )
+
+  return [customTokens, { addCustomToken, removeCustomToken }]
+}
+
+export function useUserSettingsManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  const setSlippage = useCallback(
+    slippage => {
+      updateKey(SLIPPAGE_TOLERANCE, slippage)
+    },
+    [updateKey]
+  )
+
+  const setDeadline = useCallback(
+    deadline => {
+      updateKey(DEADLINE_FROM_NOW, deadline)
+    },
+    [updateKey]
+  )
+
+  const setGasMargin = useCallback(
+    gasMargin => {
+      updateKey(GAS_MARGIN, gasMargin)
+    },
+    [updateKey]
+  )
+
+  return [
+    { slippage: state[SLIPPAGE_TOLERANCE], deadline: state[DEADLINE_FROM_NOW], gasMargin: state[GAS_MARGIN] },
+    { setSlippage, setDeadline, setGasMargin }
+  ]
+}
+
+export function useLiquidityHistoryManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  const liquidityHistory = state[LIQUIDITY_HISTORY]
+
+  // changes maps transaction hashes to { tokenAddress, type, poolTokens, ethAmount, tokenAmount, blockNumber,
+  // transactionIndex }, with amounts as decimal strings
+  const recordLiquidityChanges = useCallback(
+    (networkId, account, changes) => {
+      updateKey(LIQUIDITY_HISTORY, {
+        ...liquidityHistory,
+        [networkId]: {
+          ...liquidityHistory[networkId],
+          [account]: { ...(liquidityHistory[networkId] || {})[account], ...changes }
+        }
+      })
+    },
+    [updateKey, liquidityHistory]
+  )
+
+  return [liquidityHistory, { recordLiquidityChanges }]
+}
+
+export function useLimitOrdersManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  // orders are { id, inputCurrency, outputCurrency, inputAmount, minimumOutput, createdAt, expiresAt, state, hash,
+  // error }, with amounts as decimal strings and times in seconds. orders are updated from their latest stored version,
+  // since the watcher updates them after waiting on the wallet
+  const updateAccountOrders = useCallback(
+    (networkId, account, update) => {
+      updateKey(LIMIT_ORDERS, limitOrders => ({
+        ...limitOrders,
+        [networkId]: {
+          ...limitOrders[networkId],
+          [account]: update((limitOrders[networkId] || {})[account] || {})
+        }
+      }))
+    },
+    [updateKey]
+  )
+
+  const addLimitOrder = useCallback(
+    (networkId, account, order) => {
+      updateAccountOrders(networkId, account, orders => ({ ...orders, [order.id]: order }))
+    },
+    [updateAccountOrders]
+  )
+
+  const updateLimitOrder = useCallback(
+    (networkId, account, id, changes) => {
+      // changes can also be a function of the latest version of the order
+      updateAccountOrders(networkId, account, orders =>
+        orders[id]
+          ? { ...orders, [id]: { ...orders[id], ...(typeof changes === 'function' ? changes(orders[id]) : changes) } }
+          : orders
+      )
+    },
+    [updateAccountOrders]
+  )
+
+  const removeLimitOrder = useCallback(
+    (networkId, account, id) => {
+      updateAccountOrders(networkId, account, ({ [id]: removed, ...remaining }) => remaining)
+    },
+    [updateAccountOrders]
+  )
+
+  return [state[LIMIT_ORDERS], { addLimitOrder, updateLimitOrder, removeLimitOrder }]
+}
+
+export function useApprovalTypeManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  const approvalTypes = state[APPROVAL_TYPE]
+
+  const setApprovalType = useCallback(
+    (networkId, tokenAddress, approvalType) => {
+      updateKey(APPROVAL_TYPE, {
+        ...approvalTypes,
+        [networkId]: { ...approvalTypes[networkId], [tokenAddress]: approvalType }
+      })
+    },
+    [updateKey, approvalTypes]
+  )
+
+  return [approvalTypes, { setApprovalType }]
+}
+
+export function useSelectedNetworkManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  const selectNetwork = useCallback(
+    networkId => {
+      updateKey(SELECTED_NETWORK, networkId)
+    },
+    [updateKey]
+  )
+
+  return [state[SELECTED_NETWORK], selectNetwork]
+}
+
+export function useCustomNetworkManager() {
+  const [state, { updateKey }] = useLocalStorageContext()
+
+  // switches to the network too, since it's what it was set up for
+  const setCustomNetwork = useCallback(
+    customNetwork => {
+      updateKey(CUSTOM_NETWORK, customNetwork)
+      if (customNetwork) {
+        updateKey(SELECTED_NETWORK, customNetwork.chainId)
+      }
+    },
+    [updateKey]
+  )
+
+  return [state[CUSTOM_NETWORK], setCustomNetwork]
+}
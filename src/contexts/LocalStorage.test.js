@@ -0,0 +1,138 @@
+import { init, migrate, validate, MIGRATIONS } from './LocalStorage'
+import { DEFAULT_SLIPPAGE_TOLERANCE, DEFAULT_DEADLINE_FROM_NOW, DEFAULT_GAS_MARGIN } from '../constants'
+
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F'
+
+const CURRENT_VERSION = MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0
+
+function store(data) {
+  window.localStorage.setItem('UNISWAP', JSON.stringify(data))
+}
+
+afterEach(() => {
+  window.localStorage.clear()
+})
+
+describe('init', () => {
+  it('returns the defaults when nothing is stored', () => {
+    const state = init()
+
+    expect(state.VERSION).toBe(CURRENT_VERSION)
+    expect(state.BETA_MESSAGE_DISMISSED).toBe(false)
+    expect(state.DARK_MODE).toBe(true)
+    expect(state.CUSTOM_TOKENS).toEqual({})
+    expect(state.SLIPPAGE_TOLERANCE).toBe(DEFAULT_SLIPPAGE_TOLERANCE)
+  })
+
+  it('returns the defaults when the stored data is not an object', () => {
+    window.localStorage.setItem('UNISWAP', 'not json')
+    expect(init().DARK_MODE).toBe(true)
+
+    store([false])
+    expect(init().DARK_MODE).toBe(true)
+  })
+
+  it('keeps data saved before any other keys were persisted', () => {
+    store({ VERSION: 0, BETA_MESSAGE_DISMISSED: true, DARK_MODE: false, LAST_SAVED: 1570000000 })
+
+    const state = init()
+
+    expect(state.VERSION).toBe(CURRENT_VERSION)
+    expect(state.BETA_MESSAGE_DISMISSED).toBe(true)
+    expect(state.DARK_MODE).toBe(false)
+    expect(state.CUSTOM_TOKENS).toEqual({})
+    expect(state.LAST_SAVED).toBeUndefined()
+  })
+
+  it('keeps valid data as it is', () => {
+    const data = {
+      VERSION: 0,
+      DARK_MODE: false,
+      CUSTOM_TOKENS: { 1: { [DAI]: { name: 'Dai Stablecoin', symbol: 'DAI', decimals: 18 } } },
+      SLIPPAGE_TOLERANCE: 50,
+      DEADLINE_FROM_NOW: 60 * 30,
+      GAS_MARGIN: 2000
+    }
+    store(data)
+
+    const state = init()
+
+    expect(state.VERSION).toBe(CURRENT_VERSION)
+    expect(state.DARK_MODE).toBe(false)
+    expect(state.CUSTOM_TOKENS).toEqual(data.CUSTOM_TOKENS)
+    expect(state.SLIPPAGE_TOLERANCE).toBe(50)
+    expect(state.DEADLINE_FROM_NOW).toBe(60 * 30)
+    expect(state.GAS_MARGIN).toBe(2000)
+  })
+
+  it('resets only the keys that fail validation', () => {
+    store({
+      DARK_MODE: false,
+      BETA_MESSAGE_DISMISSED: 'yes',
+      SLIPPAGE_TOLERANCE: -1,
+      DEADLINE_FROM_NOW: 1.5,
+      GAS_MARGIN: 2000,
+      CUSTOM_TOKENS: { 1: { [DAI]: 'not an object' } }
+    })
+
+    const state = init()
+
+    expect(state.DARK_MODE).toBe(false)
+    expect(state.GAS_MARGIN).toBe(2000)
+    expect(state.BETA_MESSAGE_DISMISSED).toBe(false)
+    expect(state.SLIPPAGE_TOLERANCE).toBe(DEFAULT_SLIPPAGE_TOLERANCE)
+    expect(state.DEADLINE_FROM_NOW).toBe(DEFAULT_DEADLINE_FROM_NOW)
+    expect(state.CUSTOM_TOKENS).toEqual({})
+  })
+})
+
+describe('MIGRATIONS', () => {
+  it('are in ascending version order', () => {
+    MIGRATIONS.forEach(({ version }, i) => {
+      expect(version).toBe(i + 1)
+    })
+  })
+})
+
+describe('migrate', () => {
+  const migrations = [
+    { version: 1, migrate: stored => ({ ...stored, steps: [...stored.steps, 1] }) },
+    { version: 2, migrate: stored => ({ ...stored, steps: [...stored.steps, 2] }) }
+  ]
+
+  it('runs every migration newer than the stored version, in order', () => {
+    expect(migrate({ steps: [] }, migrations)).toEqual({ VERSION: 2, steps: [1, 2] })
+    expect(migrate({ VERSION: 1, steps: [] }, migrations)).toEqual({ VERSION: 2, steps: [2] })
+    expect(migrate({ VERSION: 2, steps: [] }, migrations)).toEqual({ VERSION: 2, steps: [] })
+  })
+
+  it('moves past migrations that fail, leaving the data to validation', () => {
+    const failing = [
+      {
+        version: 1,
+        migrate: () => {
+          throw Error('unexpected data')
+        }
+      },
+      migrations[1]
+    ]
+
+    expect(migrate({ steps: [] }, failing)).toEqual({ VERSION: 2, steps: [2] })
+  })
+})
+
+describe('validate', () => {
+  const defaults = { DARK_MODE: true, GAS_MARGIN: DEFAULT_GAS_MARGIN }
+
+  it('falls back to the default for missing and invalid keys', () => {
+    const validated = validate({ DARK_MODE: 'false', GAS_MARGIN: 500 }, defaults)
+
+    expect(validated.DARK_MODE).toBe(true)
+    expect(validated.GAS_MARGIN).toBe(500)
+    expect(validated.BETA_MESSAGE_DISMISSED).toBeUndefined()
+  })
+
+  it('drops keys that are not persisted', () => {
+    expect(validate({ UNKNOWN: 1 }, defaults).UNKNOWN).toBeUndefined()
+  })
+})
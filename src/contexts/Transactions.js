@@ -1,17 +1,46 @@
-import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect } from 'react'
+import React, { createContext, useContext, useReducer, useMemo, useCallback, useEffect, useRef } from 'react'
 import { useWeb3Context } from 'web3-react'
+import { ethers } from 'ethers'
 
 import { safeAccess } from '../utils'
 import { useBlockNumber } from './Application'
 
+const UNISWAP_TRANSACTIONS = 'UNISWAP_TRANSACTIONS'
+
 const RESPONSE = 'response'
 const CUSTOM_DATA = 'CUSTOM_DATA'
 const BLOCK_NUMBER_CHECKED = 'BLOCK_NUMBER_CHECKED'
 const RECEIPT = 'receipt'
+const ADDED_TIME = 'ADDED_TIME'
+const CONFIRMED_TIME = 'CONFIRMED_TIME'
+const NONCE = 'NONCE'
+const REPLACED_BY = 'REPLACED_BY'
+const DROPPED = 'DROPPED'
+const ORIGINAL_HASH = 'ORIGINAL_HASH'
+const REPLACEMENT_TYPE = 'REPLACEMENT_TYPE'
+
+// finalized transactions are dropped from storage after 1 week, denominated in seconds
+const FINALIZED_TRANSACTION_LIFETIME = 60 * 60 * 24 * 7
+
+// how far back to look for a transaction that reused the nonce of a pending one, denominated in blocks
+const MAX_REPLACEMENT_SEARCH_DEPTH = 50
+
+export const TRANSACTION_STATES = {
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  REPLACED: 'REPLACED',
+  DROPPED: 'DROPPED'
+}
+
+export const REPLACEMENT_TYPES = {
+  SPEED_UP: 'SPEED_UP',
+  CANCEL: 'CANCEL'
+}
 
 const ADD = 'ADD'
 const CHECK = 'CHECK'
 const FINALIZE = 'FINALIZE'
+const REPLACE = 'REPLACE'
 
 const TransactionsContext = createContext()
 
@@ -19,12 +48,78 @@ export function useTransactionsContext() {
   return useContext(TransactionsContext)
 }
 
+function getCurrentTime() {
+  return Math.floor(Date.now() / 1000)
+}
+
+export function getTransactionState(transaction) {
+  if (transaction[RECEIPT]) {
+    return TRANSACTION_STATES.CONFIRMED
+  } else if (transaction[REPLACED_BY]) {
+    return TRANSACTION_STATES.REPLACED
+  } else if (transaction[DROPPED]) {
+    return TRANSACTION_STATES.DROPPED
+  } else {
+    return TRANSACTION_STATES.PENDING
+  }
+}
+
+export function getTransactionCustomData(transaction) {
+  return safeAccess(transaction, [RESPONSE, CUSTOM_DATA]) || {}
+}
+
+export function getReplacementType(transaction) {
+  return transaction[REPLACEMENT_TYPE] || null
+}
+
+// the hash of the transaction that used this one's nonce, which may not have been sent from here, e.g. a wallet speed up
+export function getReplacedByHash(transaction) {
+  return transaction[REPLACED_BY] || null
+}
+
+// speed ups and cancellations are stored as their own transactions pointing at the one they replace, this collapses
+// each chain into the hash that best represents it: the mined one, else the latest pending one, else the latest one
+export function getLogicalTransactionHashes(allTransactions) {
+  const chains = Object.keys(allTransactions).reduce((accumulator, hash) => {
+    let rootHash = hash
+    while (allTransactions[rootHash][ORIGINAL_HASH] && allTransactions[allTransactions[rootHash][ORIGINAL_HASH]]) {
+      rootHash = allTransactions[rootHash][ORIGINAL_HASH]
+    }
+    accumulator[rootHash] = [...(accumulator[rootHash] || []), hash]
+    return accumulator
+  }, {})
+
+  return Object.keys(chains).map(rootHash => {
+    const hashes = [...chains[rootHash]].sort(
+      (a, b) => (allTransactions[b][ADDED_TIME] || 0) - (allTransactions[a][ADDED_TIME] || 0)
+    )
+    return (
+      hashes.find(hash => getTransactionState(allTransactions[hash]) === TRANSACTION_STATES.CONFIRMED) ||
+      hashes.find(hash => getTransactionState(allTransactions[hash]) === TRANSACTION_STATES.PENDING) ||
+      hashes[0]
+    )
+  })
+}
+
+// follows speed ups and cancellations from hash to the latest known transaction that replaced it
+export function getLatestReplacementHash(allTransactions, hash) {
+  let latestHash = hash
+  while (
+    allTransactions[latestHash] &&
+    allTransactions[latestHash][REPLACED_BY] &&
+    allTransactions[allTransactions[latestHash][REPLACED_BY]]
+  ) {
+    latestHash = allTransactions[latestHash][REPLACED_BY]
+  }
+  return latestHash
+}
+
 function reducer(state, { type, payload }) {
   switch (type) {
     case ADD: {
-      const { networkId, hash, response } = payload
+      const { networkId, account, hash, response, addedTime, originalHash, replacementType } = payload
 
-      if (safeAccess(state, [networkId, hash]) !== null) {
+      if (safeAccess(state, [networkId, account, hash]) !== null) {
         throw Error('Attempted to add existing transaction.')
       }
 
@@ -32,16 +127,21 @@ function reducer(state, { type, payload }) {
         ...state,
         [networkId]: {
           ...(safeAccess(state, [networkId]) || {}),
-          [hash]: {
-            [RESPONSE]: response
+          [account]: {
+            ...(safeAccess(state, [networkId, account]) || {}),
+            [hash]: {
+              [RESPONSE]: response,
+              [ADDED_TIME]: addedTime,
+              ...(originalHash ? { [ORIGINAL_HASH]: originalHash, [REPLACEMENT_TYPE]: replacementType } : {})
+            }
           }
         }
       }
     }
     case CHECK: {
-      const { networkId, hash, blockNumber } = payload
+      const { networkId, account, hash, blockNumber, nonce } = payload
 
-      if (safeAccess(state, [networkId, hash]) === null) {
+      if (safeAccess(state, [networkId, account, hash]) === null) {
         throw Error('Attempted to check non-existent transaction.')
       }
 
@@ -49,17 +149,21 @@ function reducer(state, { type, payload }) {
         ...state,
         [networkId]: {
           ...(safeAccess(state, [networkId]) || {}),
-          [hash]: {
-            ...(safeAccess(state, [networkId, hash]) || {}),
-            [BLOCK_NUMBER_CHECKED]: blockNumber
+          [account]: {
+            ...(safeAccess(state, [networkId, account]) || {}),
+            [hash]: {
+              ...(safeAccess(state, [networkId, account, hash]) || {}),
+              [BLOCK_NUMBER_CHECKED]: blockNumber,
+              ...(Number.isInteger(nonce) ? { [NONCE]: nonce } : {})
+            }
           }
         }
       }
     }
     case FINALIZE: {
-      const { networkId, hash, receipt } = payload
+      const { networkId, account, hash, receipt, confirmedTime } = payload
 
-      if (safeAccess(state, [networkId, hash]) === null) {
+      if (safeAccess(state, [networkId, account, hash]) === null) {
         throw Error('Attempted to finalize non-existent transaction.')
       }
 
@@ -67,9 +171,36 @@ function reducer(state, { type, payload }) {
         ...state,
         [networkId]: {
           ...(safeAccess(state, [networkId]) || {}),
-          [hash]: {
-            ...(safeAccess(state, [networkId, hash]) || {}),
-            [RECEIPT]: receipt
+          [account]: {
+            ...(safeAccess(state, [networkId, account]) || {}),
+            [hash]: {
+              ...(safeAccess(state, [networkId, account, hash]) || {}),
+              [RECEIPT]: receipt,
+              [CONFIRMED_TIME]: confirmedTime
+            }
+          }
+        }
+      }
+    }
+    case REPLACE: {
+      const { networkId, account, hash, replacementHash, confirmedTime } = payload
+
+      if (safeAccess(state, [networkId, account, hash]) === null) {
+        throw Error('Attempted to replace non-existent transaction.')
+      }
+
+      // without a replacement hash, the nonce was used by a transaction we couldn't find, so treat it as dropped
+      return {
+        ...state,
+        [networkId]: {
+          ...(safeAccess(state, [networkId]) || {}),
+          [account]: {
+            ...(safeAccess(state, [networkId, account]) || {}),
+            [hash]: {
+              ...(safeAccess(state, [networkId, account, hash]) || {}),
+              ...(replacementHash ? { [REPLACED_BY]: replacementHash } : { [DROPPED]: true }),
+              [CONFIRMED_TIME]: confirmedTime
+            }
           }
         }
       }
@@ -80,22 +211,163 @@ function reducer(state, { type, payload }) {
   }
 }
 
+// BigNumbers are serialized as { _hex }, so turn them back into BigNumbers when parsing
+function reviveBigNumbers(key, value) {
+  return value && typeof value === 'object' && typeof value._hex === 'string' && Object.keys(value).length === 1
+    ? ethers.utils.bigNumberify(value._hex)
+    : value
+}
+
+// drop finalized transactions that were confirmed too long ago, and any accounts/networks left empty
+function pruneTransactions(state, currentTime) {
+  return Object.keys(state).reduce((prunedState, networkId) => {
+    const prunedNetwork = Object.keys(state[networkId]).reduce((prunedAccounts, account) => {
+      const prunedAccount = Object.keys(state[networkId][account])
+        .filter(hash => {
+          const transaction = state[networkId][account][hash]
+          return (
+            getTransactionState(transaction) === TRANSACTION_STATES.PENDING ||
+            currentTime - (transaction[CONFIRMED_TIME] || 0) < FINALIZED_TRANSACTION_LIFETIME
+          )
+        })
+        .reduce((accumulator, hash) => {
+          accumulator[hash] = state[networkId][account][hash]
+          return accumulator
+        }, {})
+
+      if (Object.keys(prunedAccount).length > 0) {
+        prunedAccounts[account] = prunedAccount
+      }
+      return prunedAccounts
+    }, {})
+
+    if (Object.keys(prunedNetwork).length > 0) {
+      prunedState[networkId] = prunedNetwork
+    }
+    return prunedState
+  }, {})
+}
+
+// resolves to the transactions mined in blockNumber, sharing fetches through blockCache
+function getBlockTransactions(library, blockCache, blockNumber) {
+  if (!blockCache[blockNumber]) {
+    blockCache[blockNumber] = library.getBlock(blockNumber, true).then(
+      block => {
+        // the node hasn't seen this block yet, so don't remember it as empty
+        if (!block) {
+          delete blockCache[blockNumber]
+          return []
+        }
+        return block.transactions.map(({ hash, from, nonce }) => ({ hash, from: from.toLowerCase(), nonce }))
+      },
+      error => {
+        delete blockCache[blockNumber]
+        throw error
+      }
+    )
+  }
+  return blockCache[blockNumber]
+}
+
+// look through (fromBlock, toBlock] for a mined transaction from account that used nonce
+async function findReplacementHash(library, blockCache, account, nonce, fromBlock, toBlock) {
+  const earliestBlock = Math.max(
+    Number.isInteger(fromBlock) ? fromBlock + 1 : 0,
+    toBlock - MAX_REPLACEMENT_SEARCH_DEPTH + 1,
+    0
+  )
+
+  for (let blockNumber = toBlock; blockNumber >= earliestBlock; blockNumber--) {
+    const transactions = await getBlockTransactions(library, blockCache, blockNumber)
+    const replacement = transactions.find(
+      transaction => transaction.nonce === nonce && transaction.from === account.toLowerCase()
+    )
+    if (replacement) {
+      return replacement.hash
+    }
+  }
+
+  return null
+}
+
+// returns one of { receipt }, { replacementHash } or { nonce }, depending on what happened to the transaction
+async function getTransactionUpdate(library, blockCache, account, hash, transaction, blockNumber) {
+  const receipt = await library.getTransactionReceipt(hash)
+  if (receipt) {
+    return { receipt }
+  }
+
+  // unchecked signers don't return a nonce, so we have to ask the node for it
+  let nonce = Number.isInteger(transaction[NONCE]) ? transaction[NONCE] : safeAccess(transaction, [RESPONSE, 'nonce'])
+  if (!Number.isInteger(nonce)) {
+    const fetchedTransaction = await library.getTransaction(hash)
+    nonce = fetchedTransaction ? fetchedTransaction.nonce : null
+  }
+  if (!Number.isInteger(nonce)) {
+    return { nonce }
+  }
+
+  const transactionCount = await library.getTransactionCount(account)
+  if (transactionCount <= nonce) {
+    return { nonce }
+  }
+
+  // the nonce has been used, check that it wasn't this transaction being mined since we fetched the receipt
+  const lateReceipt = await library.getTransactionReceipt(hash)
+  if (lateReceipt) {
+    return { receipt: lateReceipt }
+  }
+
+  const replacementHash = await findReplacementHash(
+    library,
+    blockCache,
+    account,
+    nonce,
+    transaction[BLOCK_NUMBER_CHECKED],
+    blockNumber
+  )
+  // the receipt isn't indexed yet, so wait for the next block
+  if (replacementHash === hash) {
+    return { nonce }
+  }
+
+  return { replacementHash }
+}
+
+function init() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(UNISWAP_TRANSACTIONS), reviveBigNumbers)
+    return parsed ? pruneTransactions(parsed, getCurrentTime()) : {}
+  } catch {
+    return {}
+  }
+}
+
 export default function Provider({ children }) {
-  const [state, dispatch] = useReducer(reducer, {})
+  const [state, dispatch] = useReducer(reducer, undefined, init)
 
-  const add = useCallback((networkId, hash, response) => {
-    dispatch({ type: ADD, payload: { networkId, hash, response } })
+  const add = useCallback((networkId, account, hash, response, originalHash, replacementType) => {
+    dispatch({
+      type: ADD,
+      payload: { networkId, account, hash, response, addedTime: getCurrentTime(), originalHash, replacementType }
+    })
+  }, [])
+  const check = useCallback((networkId, account, hash, blockNumber, nonce) => {
+    dispatch({ type: CHECK, payload: { networkId, account, hash, blockNumber, nonce } })
   }, [])
-  const check = useCallback((networkId, hash, blockNumber) => {
-    dispatch({ type: CHECK, payload: { networkId, hash, blockNumber } })
+  const finalize = useCallback((networkId, account, hash, receipt) => {
+    dispatch({ type: FINALIZE, payload: { networkId, account, hash, receipt, confirmedTime: getCurrentTime() } })
   }, [])
-  const finalize = useCallback((networkId, hash, receipt) => {
-    dispatch({ type: FINALIZE, payload: { networkId, hash, receipt } })
+  const replace = useCallback((networkId, account, hash, replacementHash) => {
+    dispatch({
+      type: REPLACE,
+      payload: { networkId, account, hash, replacementHash, confirmedTime: getCurrentTime() }
+    })
   }, [])
 
   return (
     <TransactionsContext.Provider
-      value={useMemo(() => [state, { add, check, finalize }], [state, add, check, finalize])}
+      value={useMemo(() => [state, { add, check, finalize, replace }], [state, add, check, finalize, replace])}
     >
       {children}
     </TransactionsContext.Provider>
@@ -107,44 +379,67 @@ export function Updater() {
 
   const globalBlockNumber = useBlockNumber()
 
-  const [state, { check, finalize }] = useTransactionsContext()
+  const [state, { check, finalize, replace }] = useTransactionsContext()
   const allTransactions = safeAccess(state, [networkId]) || {}
 
+  // blocks searched for replacements, so pending transactions on a network share each fetch
+  const blockCaches = useRef({})
+
+  // persist every network and account, so pending transactions survive reloads
+  useEffect(() => {
+    window.localStorage.setItem(UNISWAP_TRANSACTIONS, JSON.stringify(state))
+  }, [state])
+
   useEffect(() => {
     if ((networkId || networkId === 0) && library) {
+      const blockCache = (blockCaches.current[networkId] = blockCaches.current[networkId] || {})
+      // forget blocks that have fallen out of the search depth
+      Object.keys(blockCache)
+        .filter(blockNumber => Number(blockNumber) <= globalBlockNumber - MAX_REPLACEMENT_SEARCH_DEPTH)
+        .forEach(blockNumber => {
+          delete blockCache[blockNumber]
+        })
+
       let stale = false
-      Object.keys(allTransactions)
-        .filter(
-          hash => !allTransactions[hash][RECEIPT] && allTransactions[hash][BLOCK_NUMBER_CHECKED] !== globalBlockNumber
-        )
-        .forEach(hash => {
-          library
-            .getTransactionReceipt(hash)
-            .then(receipt => {
-              if (!stale) {
-                if (!receipt) {
-                  check(networkId, hash, globalBlockNumber)
-                } else {
-                  finalize(networkId, hash, receipt)
+      Object.keys(allTransactions).forEach(account => {
+        const accountTransactions = allTransactions[account]
+
+        Object.keys(accountTransactions)
+          .filter(
+            hash =>
+              getTransactionState(accountTransactions[hash]) === TRANSACTION_STATES.PENDING &&
+              accountTransactions[hash][BLOCK_NUMBER_CHECKED] !== globalBlockNumber
+          )
+          .forEach(hash => {
+            getTransactionUpdate(library, blockCache, account, hash, accountTransactions[hash], globalBlockNumber)
+              .then(({ receipt, replacementHash, nonce }) => {
+                if (!stale) {
+                  if (receipt) {
+                    finalize(networkId, account, hash, receipt)
+                  } else if (replacementHash !== undefined) {
+                    replace(networkId, account, hash, replacementHash)
+                  } else {
+                    check(networkId, account, hash, globalBlockNumber, nonce)
+                  }
                 }
-              }
-            })
-            .catch(() => {
-              check(networkId, hash, globalBlockNumber)
-            })
-        })
+              })
+              .catch(() => {
+                check(networkId, account, hash, globalBlockNumber)
+              })
+          })
+      })
 
       return () => {
         stale = true
       }
     }
-  }, [networkId, library, allTransactions, globalBlockNumber, check, finalize])
+  }, [networkId, library, allTransactions, globalBlockNumber, check, finalize, replace])
 
   return null
 }
 
 export function useTransactionAdder() {
-  const { networkId } = useWeb3Context()
+  const { networkId, account } = useWeb3Context()
 
   const [, { add }] = useTransactionsContext()
 
@@ -154,23 +449,68 @@ export function useTransactionAdder() {
         throw Error(`Invalid networkId '${networkId}`)
       }
 
+      if (!account) {
+        throw Error('No account found.')
+      }
+
       const hash = safeAccess(response, ['hash'])
 
       if (!hash) {
         throw Error('No transaction hash found.')
       }
-      add(networkId, hash, { ...response, [CUSTOM_DATA]: customData })
+      add(networkId, account, hash, { ...response, [CUSTOM_DATA]: customData })
+    },
+    [networkId, account, add]
+  )
+}
+
+// adds a transaction that reuses the nonce of originalHash, linking the two
+export function useTransactionReplacementAdder() {
+  const { networkId, account } = useWeb3Context()
+
+  const [state, { add }] = useTransactionsContext()
+
+  return useCallback(
+    (originalHash, response, replacementType) => {
+      if (!(networkId || networkId === 0)) {
+        throw Error(`Invalid networkId '${networkId}`)
+      }
+
+      if (!account) {
+        throw Error('No account found.')
+      }
+
+      const original = safeAccess(state, [networkId, account, originalHash])
+      if (original === null) {
+        throw Error('Attempted to replace non-existent transaction.')
+      }
+
+      if (!Object.values(REPLACEMENT_TYPES).includes(replacementType)) {
+        throw Error(`Unexpected replacement type '${replacementType}'.`)
+      }
+
+      const hash = safeAccess(response, ['hash'])
+
+      if (!hash) {
+        throw Error('No transaction hash found.')
+      }
+
+      // a sped up transaction does the same thing as the original, so it inherits its custom data
+      const customData =
+        replacementType === REPLACEMENT_TYPES.SPEED_UP ? safeAccess(original, [RESPONSE, CUSTOM_DATA]) || {} : {}
+
+      add(networkId, account, hash, { ...response, [CUSTOM_DATA]: customData }, originalHash, replacementType)
     },
-    [networkId, add]
+    [networkId, account, state, add]
   )
 }
 
 export function useAllTransactions() {
-  const { networkId } = useWeb3Context()
+  const { networkId, account } = useWeb3Context()
 
   const [state] = useTransactionsContext()
 
-  return safeAccess(state, [networkId]) || {}
+  return safeAccess(state, [networkId, account]) || {}
 }
 
 export function usePendingApproval(tokenAddress) {
@@ -178,7 +518,7 @@ export function usePendingApproval(tokenAddress) {
 
   return (
     Object.keys(allTransactions).filter(hash => {
-      if (allTransactions[hash][RECEIPT]) {
+      if (getTransactionState(allTransactions[hash]) !== TRANSACTION_STATES.PENDING) {
         return false
       } else if (!allTransactions[hash][RESPONSE]) {
         return false
@@ -7,12 +7,19 @@ import ThemeProvider, { GlobalStyle } from './theme'
 import LocalStorageContextProvider, { Updater as LocalStorageContextUpdater } from './contexts/LocalStorage'
 import ApplicationContextProvider, { Updater as ApplicationContextUpdater } from './contexts/Application'
 import TransactionContextProvider, { Updater as TransactionContextUpdater } from './contexts/Transactions'
-import TokensContextProvider from './contexts/Tokens'
-import BalancesContextProvider from './contexts/Balances'
+import TokensContextProvider, { Updater as TokensContextUpdater } from './contexts/Tokens'
+import BalancesContextProvider, { Updater as BalancesContextUpdater } from './contexts/Balances'
 import AllowancesContextProvider from './contexts/Allowances'
 import AllBalancesContextProvider from './contexts/AllBalances'
+import ExchangeEventsContextProvider from './contexts/ExchangeEvents'
+import AccountHistoryContextProvider from './contexts/AccountHistory'
+import { Updater as LimitOrdersUpdater } from './contexts/LimitOrders'
+import LiquidityPositionsContextProvider, {
+  Updater as LiquidityPositionsContextUpdater
+} from './contexts/LiquidityPositions'
 
 import App from './pages/App'
+import { DEFAULT_NETWORK_ID, SUPPORTED_NETWORK_IDS, INITIAL_CUSTOM_NETWORK } from './constants'
 import NetworkOnlyConnector from './NetworkOnlyConnector'
 import InjectedConnector from './InjectedConnector'
 
@@ -25,8 +32,17 @@ if (process.env.NODE_ENV === 'production') {
 }
 ReactGA.pageview(window.location.pathname + window.location.search)
 
-const Network = new NetworkOnlyConnector({ providerURL: process.env.REACT_APP_NETWORK_URL || '' })
-const Injected = new InjectedConnector({ supportedNetworks: [Number(process.env.REACT_APP_NETWORK_ID || '1')] })
+// a comma separated list of endpoints for the default network to fail over between, in order of preference
+const providerURLs = (process.env.REACT_APP_NETWORK_URLS || process.env.REACT_APP_NETWORK_URL || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(url => url)
+const Network = new NetworkOnlyConnector({
+  networkId: DEFAULT_NETWORK_ID,
+  providerURLs: { [DEFAULT_NETWORK_ID]: providerURLs },
+  customNetwork: INITIAL_CUSTOM_NETWORK
+})
+const Injected = new InjectedConnector({ supportedNetworks: SUPPORTED_NETWORK_IDS })
 const connectors = { Injected, Network }
 
 function ContextProviders({ children }) {
@@ -37,7 +53,13 @@ function ContextProviders({ children }) {
           <TokensContextProvider>
             <BalancesContextProvider>
               <AllBalancesContextProvider>
-                <AllowancesContextProvider>{children}</AllowancesContextProvider>
+                <AllowancesContextProvider>
+                  <LiquidityPositionsContextProvider>
+                    <ExchangeEventsContextProvider>
+                      <AccountHistoryContextProvider>{children}</AccountHistoryContextProvider>
+                    </ExchangeEventsContextProvider>
+                  </LiquidityPositionsContextProvider>
+                </AllowancesContextProvider>
               </AllBalancesContextProvider>
             </BalancesContextProvider>
           </TokensContextProvider>
@@ -53,6 +75,10 @@ function Updaters() {
       <LocalStorageContextUpdater />
       <ApplicationContextUpdater />
       <TransactionContextUpdater />
+      <TokensContextUpdater />
+      <BalancesContextUpdater />
+      <LiquidityPositionsContextUpdater />
+      <LimitOrdersUpdater />
     </>
   )
 }
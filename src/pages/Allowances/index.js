@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react'
+import ReactGA from 'react-ga'
+import { Link as RouterLink } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+import { darken } from 'polished'
+import { ethers } from 'ethers'
+
+import TokenLogo from '../../components/TokenLogo'
+import { Link } from '../../theme'
+import { useTokenContract } from '../../hooks'
+import { USER_REJECTED_REQUEST } from '../../constants'
+import { amountFormatter, calculateGasMargin, getEtherscanLink, shortenAddress } from '../../utils'
+import { useAllTokenDetails } from '../../contexts/Tokens'
+import { useAllExchangeAllowances } from '../../contexts/Allowances'
+import { useTransactionAdder, usePendingApproval } from '../../contexts/Transactions'
+import { useUserSettingsManager } from '../../contexts/LocalStorage'
+
+// unlimited approvals are for the max uint256, and exchanges only decrement them as tokens are spent, so anything above
+// half of it was granted as unlimited
+const UNLIMITED_THRESHOLD = ethers.constants.MaxUint256.div(ethers.utils.bigNumberify(2))
+
+const Wrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  border-radius: 1.25rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  background-color: ${({ theme }) => theme.inputBackground};
+  overflow: hidden;
+`
+
+const Row = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  padding: 1rem 1.5rem;
+  border-top: 1px solid ${({ theme }) => theme.mercuryGray};
+
+  :first-child {
+    border-top: none;
+  }
+`
+
+const TokenDescription = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  flex: 1 1 auto;
+  min-width: 0;
+  margin-left: 0.75rem;
+  font-weight: 500;
+`
+
+const Faded = styled.span`
+  font-size: 0.75rem;
+  font-weight: 400;
+  color: ${({ theme, error }) => (error ? theme.salmonRed : theme.doveGray)};
+`
+
+const Amount = styled.span`
+  margin-left: 0.5rem;
+  font-size: 0.875rem;
+  font-variant: tabular-nums;
+  color: ${({ theme }) => theme.textColor};
+`
+
+const RevokeButton = styled.button`
+  margin-left: 1rem;
+  padding: 0.25rem 0.75rem;
+  border-radius: 1rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  outline: none;
+  cursor: pointer;
+  font-size: 0.75rem;
+  background-color: transparent;
+  color: ${({ theme }) => theme.salmonRed};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.salmonRed)};
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+
+  :disabled {
+    cursor: auto;
+    color: ${({ theme }) => theme.silverGray};
+  }
+`
+
+const Message = styled.div`
+  padding: 1.5rem;
+  text-align: center;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+const BackLink = styled(RouterLink)`
+  display: block;
+  margin-top: 1rem;
+  text-align: center;
+  font-size: 0.875rem;
+  text-decoration: none;
+  color: ${({ theme }) => theme.royalBlue};
+`
+
+function AllowanceRow({ tokenAddress, exchangeAddress, value }) {
+  const { t } = useTranslation()
+  const { networkId } = useWeb3Context()
+
+  const { symbol, decimals } = useAllTokenDetails()[tokenAddress]
+  const tokenContract = useTokenContract(tokenAddress)
+  const pendingApproval = usePendingApproval(tokenAddress)
+  const addTransaction = useTransactionAdder()
+  const [{ gasMargin }] = useUserSettingsManager()
+
+  const [revokeFailed, setRevokeFailed] = useState(false)
+
+  function revoke() {
+    setRevokeFailed(false)
+    tokenContract.estimate
+      .approve(exchangeAddress, ethers.constants.Zero)
+      .then(estimatedGas =>
+        tokenContract.approve(exchangeAddress, ethers.constants.Zero, {
+          gasLimit: calculateGasMargin(estimatedGas, ethers.utils.bigNumberify(gasMargin))
+        })
+      )
+      .then(response => {
+        addTransaction(response, { approval: tokenAddress })
+      })
+      .catch(error => {
+        // declining in the wallet needs no explanation
+        if (!error || error.code !== USER_REJECTED_REQUEST) {
+          setRevokeFailed(true)
+        }
+      })
+  }
+
+  return (
+    <Row>
+      <TokenLogo address={tokenAddress} size={'1.5rem'} />
+      <TokenDescription>
+        {symbol}
+        <Faded>
+          {t('exchange')}{' '}
+          <Link href={getEtherscanLink(networkId, exchangeAddress, 'address')}>{shortenAddress(exchangeAddress)}</Link>
+        </Faded>
+        {revokeFailed && <Faded error>{t('revokeFailed')}</Faded>}
+      </TokenDescription>
+      <Amount>
+        {value.gt(UNLIMITED_THRESHOLD)
+          ? t('unlimited')
+          : `${amountFormatter(value, decimals, Math.min(4, decimals))} ${symbol}`}
+      </Amount>
+      <RevokeButton disabled={!!pendingApproval || !tokenContract} onClick={revoke}>
+        {pendingApproval ? t('pending') : t('revoke')}
+      </RevokeButton>
+    </Row>
+  )
+}
+
+export default function Allowances() {
+  const { t } = useTranslation()
+  const { account } = useWeb3Context()
+
+  useEffect(() => {
+    ReactGA.pageview(window.location.pathname + window.location.search)
+  }, [])
+
+  const allowances = useAllExchangeAllowances()
+
+  if (!account) {
+    return <Message>{t('connectToViewAllowances')}</Message>
+  }
+
+  return (
+    <>
+      <Wrapper>
+        {!allowances ? (
+          <Message>{t('loadingAllowances')}</Message>
+        ) : allowances.length === 0 ? (
+          <Message>{t('noAllowances')}</Message>
+        ) : (
+          allowances.map(({ tokenAddress, exchangeAddress, value }) => (
+            <AllowanceRow
+              key={`${tokenAddress}-${exchangeAddress}`}
+              tokenAddress={tokenAddress}
+              exchangeAddress={exchangeAddress}
+              value={value}
+            />
+          ))
+        )}
+      </Wrapper>
+      <BackLink to="/portfolio">{t('backToPortfolio')}</BackLink>
+    </>
+  )
+}
@@ -5,6 +5,7 @@ import { BrowserRouter, Redirect, Route, Switch } from 'react-router-dom'
 import Web3ReactManager from '../components/Web3ReactManager'
 import Header from '../components/Header'
 import Footer from '../components/Footer'
+import NetworkMismatchBanner from '../components/NetworkMismatchBanner'
 
 import NavigationTabs from '../components/NavigationTabs'
 import { isAddress, getAllQueryParams } from '../utils'
@@ -12,6 +13,9 @@ import { isAddress, getAllQueryParams } from '../utils'
 const Swap = lazy(() => import('./Swap'))
 const Send = lazy(() => import('./Send'))
 const Pool = lazy(() => import('./Pool'))
+const Portfolio = lazy(() => import('./Portfolio'))
+const History = lazy(() => import('./History'))
+const Allowances = lazy(() => import('./Allowances'))
 
 const AppWrapper = styled.div`
   display: flex;
@@ -56,6 +60,7 @@ export default function App() {
           <HeaderWrapper>
             <Header />
           </HeaderWrapper>
+          <NetworkMismatchBanner />
           <BodyWrapper>
             <Body>
               <Web3ReactManager>
@@ -64,7 +69,7 @@ export default function App() {
                   {/* this Suspense is for route code-splitting */}
                   <Suspense fallback={null}>
                     <Switch>
-                      <Route exact strict path="/swap" component={() => <Swap params={params} />} />
+                      <Route exact strict path="/swap" component={() => <Swap params={getAllQueryParams()} />} />
                       <Route
                         exact
                         strict
@@ -83,7 +88,7 @@ export default function App() {
                           }
                         }}
                       />
-                      <Route exact strict path="/send" component={() => <Send params={params} />} />
+                      <Route exact strict path="/send" component={() => <Send params={getAllQueryParams()} />} />
                       <Route
                         exact
                         strict
@@ -101,10 +106,14 @@ export default function App() {
                           '/add-liquidity',
                           '/remove-liquidity',
                           '/create-exchange',
-                          '/create-exchange/:tokenAddress?'
+                          '/create-exchange/:tokenAddress?',
+                          '/positions'
                         ]}
                         component={() => <Pool params={params} />}
                       />
+                      <Route exact strict path="/portfolio" component={Portfolio} />
+                      <Route exact strict path="/history" component={History} />
+                      <Route exact strict path="/allowances" component={Allowances} />
                       <Redirect to="/swap" />
                     </Switch>
                   </Suspense>
@@ -0,0 +1,481 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react'
+import ReactGA from 'react-ga'
+import { Link as RouterLink } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+import { darken } from 'polished'
+import { BigNumber } from '@uniswap/sdk'
+import { ethers } from 'ethers'
+
+import TokenLogo from '../../components/TokenLogo'
+import { Link } from '../../theme'
+import { amountFormatter, formatToUsd, getEtherscanLink, getFirstBlockSince, shortenAddress } from '../../utils'
+import { useAllTokenDetails } from '../../contexts/Tokens'
+import { useAccountHistory, HISTORY_TYPES } from '../../contexts/AccountHistory'
+import { useBlockNumber, useUSDPrice } from '../../contexts/Application'
+
+const DEFAULT_DAYS = 30
+
+const DIRECTIONS = {
+  SENT: 'SENT',
+  RECEIVED: 'RECEIVED',
+  DELIVERED: 'DELIVERED'
+}
+
+const Filters = styled.div`
+  display: flex;
+  flex-flow: row wrap;
+  align-items: center;
+  margin-bottom: 1rem;
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+const FilterLabel = styled.label`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  margin: 0 1rem 0.5rem 0;
+
+  select,
+  input {
+    margin-left: 0.5rem;
+    padding: 0.25rem 0.5rem;
+    border: 1px solid ${({ theme }) => theme.mercuryGray};
+    border-radius: 0.5rem;
+    outline: none;
+    font-size: 0.875rem;
+    background-color: ${({ theme }) => theme.inputBackground};
+    color: ${({ theme }) => theme.textColor};
+  }
+`
+
+const ExportButton = styled.button`
+  margin: 0 0 0.5rem auto;
+  padding: 0.25rem 0.75rem;
+  border-radius: 1rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  outline: none;
+  cursor: pointer;
+  font-size: 0.75rem;
+  background-color: transparent;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+
+  :disabled {
+    cursor: auto;
+    color: ${({ theme }) => theme.silverGray};
+  }
+`
+
+const Wrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  border-radius: 1.25rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  background-color: ${({ theme }) => theme.inputBackground};
+  overflow: hidden;
+`
+
+const Entry = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  padding: 1rem 1.5rem;
+  border-top: 1px solid ${({ theme }) => theme.mercuryGray};
+
+  :first-child {
+    border-top: none;
+  }
+`
+
+const EntryHeader = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  font-weight: 500;
+`
+
+const EntryTitle = styled.span`
+  flex: 1 1 auto;
+  margin-left: 0.75rem;
+`
+
+const EntryDetails = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  padding-top: 0.75rem;
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.doveGray};
+  font-variant: tabular-nums;
+`
+
+const DetailRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  padding: 0.125rem 0;
+`
+
+const Faded = styled.span`
+  font-size: 0.75rem;
+  font-weight: 400;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+const Message = styled.div`
+  padding: 1.5rem;
+  text-align: center;
+  color: ${({ theme, error }) => (error ? theme.salmonRed : theme.doveGray)};
+`
+
+const BackLink = styled(RouterLink)`
+  display: block;
+  margin-top: 1rem;
+  text-align: center;
+  font-size: 0.875rem;
+  text-decoration: none;
+  color: ${({ theme }) => theme.royalBlue};
+`
+
+// formats a date as the value of a date input, in local time
+function toDateInputValue(date) {
+  const pad = value => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// the start of a date input's day in seconds, in local time
+function fromDateInputValue(value) {
+  return Math.floor(new Date(`${value}T00:00:00`).getTime() / 1000)
+}
+
+// the assets that changed hands in an entry, as [{ direction, currency, amount }], or null if one of its exchanges is
+// unknown
+function getLegs(entry, tokensByExchange) {
+  const currencyOf = exchangeAddress => (exchangeAddress === null ? 'ETH' : tokensByExchange[exchangeAddress])
+
+  switch (entry.type) {
+    case HISTORY_TYPES.SWAP:
+    case HISTORY_TYPES.SEND: {
+      const inputCurrency = currencyOf(entry.inputExchangeAddress)
+      const outputCurrency = currencyOf(entry.outputExchangeAddress)
+      if (!inputCurrency || !outputCurrency) {
+        return null
+      }
+      return [
+        { direction: DIRECTIONS.SENT, currency: inputCurrency, amount: entry.inputAmount },
+        {
+          direction: entry.type === HISTORY_TYPES.SEND ? DIRECTIONS.DELIVERED : DIRECTIONS.RECEIVED,
+          currency: outputCurrency,
+          amount: entry.outputAmount
+        }
+      ]
+    }
+    case HISTORY_TYPES.ADD_LIQUIDITY:
+    case HISTORY_TYPES.REMOVE_LIQUIDITY: {
+      const tokenAddress = currencyOf(entry.exchangeAddress)
+      if (!tokenAddress) {
+        return null
+      }
+      const direction = entry.type === HISTORY_TYPES.ADD_LIQUIDITY ? DIRECTIONS.SENT : DIRECTIONS.RECEIVED
+      return [
+        { direction, currency: 'ETH', amount: entry.ethAmount },
+        { direction, currency: tokenAddress, amount: entry.tokenAmount }
+      ]
+    }
+    default: {
+      return null
+    }
+  }
+}
+
+function toCSV(rows) {
+  return rows.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\n')
+}
+
+function downloadFile(filename, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  URL.revokeObjectURL(url)
+}
+
+export default function History() {
+  const { t } = useTranslation()
+  const { account, networkId, library } = useWeb3Context()
+
+  useEffect(() => {
+    ReactGA.pageview(window.location.pathname + window.location.search)
+  }, [])
+
+  const [tokenFilter, setTokenFilter] = useState('')
+  const [fromDate, setFromDate] = useState(() =>
+    toDateInputValue(new Date(Date.now() - DEFAULT_DAYS * 24 * 60 * 60 * 1000))
+  )
+  const [toDate, setToDate] = useState('')
+
+  const fromTimestamp = fromDate ? fromDateInputValue(fromDate) : 0
+  // the end date is inclusive
+  const toTimestamp = toDate ? fromDateInputValue(toDate) + 24 * 60 * 60 : Infinity
+
+  const blockNumber = useBlockNumber()
+  // the first block of the range, found from block timestamps once per network and start date
+  const fromBlockKey = `${networkId}-${fromTimestamp}`
+  const [fromBlockResult, setFromBlockResult] = useState({})
+  const { blockNumber: fromBlock, error: fromBlockError } = fromBlockResult.key === fromBlockKey ? fromBlockResult : {}
+
+  // the range being searched for, so searches aren't repeated and are ignored once the range changes
+  const searchingKey = useRef()
+  useEffect(() => {
+    return () => {
+      searchingKey.current = undefined
+    }
+  }, [])
+
+  useEffect(() => {
+    // failed searches are retried with the next block
+    if (
+      library &&
+      typeof blockNumber === 'number' &&
+      fromBlock === undefined &&
+      searchingKey.current !== fromBlockKey
+    ) {
+      searchingKey.current = fromBlockKey
+      getFirstBlockSince(fromTimestamp, blockNumber, library)
+        .then(firstBlock => ({ key: fromBlockKey, blockNumber: firstBlock }), error => ({ key: fromBlockKey, error }))
+        .then(result => {
+          if (searchingKey.current === fromBlockKey) {
+            searchingKey.current = undefined
+            setFromBlockResult(result)
+          }
+        })
+    }
+  }, [library, blockNumber, fromTimestamp, fromBlockKey, fromBlock])
+
+  const [entries, historyError] = useAccountHistory(fromBlock)
+  const error = fromBlockError || historyError
+  const allTokens = useAllTokenDetails()
+  // BigNumber.js instance
+  const ethPrice = useUSDPrice()
+
+  const tokensByExchange = useMemo(
+    () =>
+      Object.keys(allTokens).reduce((accumulator, tokenAddress) => {
+        if (allTokens[tokenAddress].exchangeAddress) {
+          accumulator[allTokens[tokenAddress].exchangeAddress] = tokenAddress
+        }
+        return accumulator
+      }, {}),
+    [allTokens]
+  )
+
+  // entries in the date range whose exchanges are known, with the assets they moved
+  const rangeEntries = useMemo(
+    () =>
+      (entries || [])
+        .filter(({ timestamp }) => timestamp >= fromTimestamp && timestamp < toTimestamp)
+        .map(entry => ({ ...entry, legs: getLegs(entry, tokensByExchange) }))
+        .filter(({ legs }) => legs),
+    [entries, fromTimestamp, toTimestamp, tokensByExchange]
+  )
+
+  // the tokens that appear in the range, to filter by
+  const tokenOptions = [
+    ...new Set(
+      rangeEntries.reduce(
+        (currencies, { legs }) => currencies.concat(legs.map(({ currency }) => currency).filter(c => c !== 'ETH')),
+        []
+      )
+    )
+  ].sort((a, b) => allTokens[a].symbol.localeCompare(allTokens[b].symbol))
+
+  const filteredEntries = tokenFilter
+    ? rangeEntries.filter(({ legs }) => legs.some(({ currency }) => currency === tokenFilter))
+    : rangeEntries
+
+  function formatAmount({ currency, amount }) {
+    const { symbol, decimals } = allTokens[currency]
+    return `${amountFormatter(amount, decimals, Math.min(4, decimals))} ${symbol}`
+  }
+
+  // how much of the second leg one unit of the first bought, for swaps and sends
+  function getRate({ type, legs }) {
+    if (type !== HISTORY_TYPES.SWAP && type !== HISTORY_TYPES.SEND) {
+      return null
+    }
+    const [input, output] = legs
+    const inputAmount = Number(ethers.utils.formatUnits(input.amount, allTokens[input.currency].decimals))
+    const outputAmount = Number(ethers.utils.formatUnits(output.amount, allTokens[output.currency].decimals))
+    return inputAmount > 0 ? outputAmount / inputAmount : null
+  }
+
+  function getGasCostUSD(gasCost) {
+    return ethPrice ? new BigNumber(gasCost.toString()).div(new BigNumber(10).pow(18)).times(ethPrice) : null
+  }
+
+  function getTypeLabel(type) {
+    switch (type) {
+      case HISTORY_TYPES.SWAP: {
+        return t('swap')
+      }
+      case HISTORY_TYPES.SEND: {
+        return t('send')
+      }
+      case HISTORY_TYPES.ADD_LIQUIDITY: {
+        return t('addLiquidity')
+      }
+      case HISTORY_TYPES.REMOVE_LIQUIDITY: {
+        return t('removeLiquidity')
+      }
+      default: {
+        return type
+      }
+    }
+  }
+
+  function getDirectionLabel(direction) {
+    return direction === DIRECTIONS.SENT
+      ? t('sent')
+      : direction === DIRECTIONS.RECEIVED
+      ? t('received')
+      : t('deliveredToRecipient')
+  }
+
+  // one row per asset moved, with the gas cost on the first row of each transaction so that it's only counted once
+  function exportCSV() {
+    const rows = [
+      [
+        'Date',
+        'Type',
+        'Direction',
+        'Amount',
+        'Token',
+        'Token Address',
+        'Rate',
+        'Recipient',
+        'Gas Cost (ETH)',
+        'Gas Cost (USD at current price)',
+        'Transaction'
+      ]
+    ]
+    filteredEntries.forEach(entry => {
+      const rate = getRate(entry)
+      const gasCostUSD = getGasCostUSD(entry.gasCost)
+      entry.legs.forEach(({ direction, currency, amount }, i) => {
+        const { symbol, decimals } = allTokens[currency]
+        rows.push([
+          new Date(entry.timestamp * 1000).toISOString(),
+          getTypeLabel(entry.type),
+          getDirectionLabel(direction),
+          ethers.utils.formatUnits(amount, decimals),
+          symbol,
+          currency === 'ETH' ? '' : currency,
+          rate === null ? '' : rate,
+          entry.recipient || '',
+          i === 0 ? ethers.utils.formatUnits(entry.gasCost, 18) : '',
+          i === 0 && gasCostUSD ? gasCostUSD.toFixed(2) : '',
+          entry.hash
+        ])
+      })
+    })
+    downloadFile(`history-${account}-${fromDate || 'start'}-${toDate || 'now'}.csv`, toCSV(rows), 'text/csv')
+  }
+
+  if (!account) {
+    return <Message>{t('connectToViewHistory')}</Message>
+  }
+
+  return (
+    <>
+      <Filters>
+        <FilterLabel>
+          {t('token')}
+          <select value={tokenFilter} onChange={event => setTokenFilter(event.target.value)}>
+            <option value="">{t('allTokens')}</option>
+            {tokenOptions.map(tokenAddress => (
+              <option key={tokenAddress} value={tokenAddress}>
+                {allTokens[tokenAddress].symbol}
+              </option>
+            ))}
+          </select>
+        </FilterLabel>
+        <FilterLabel>
+          {t('fromDate')}
+          <input type="date" value={fromDate} max={toDate || undefined} onChange={e => setFromDate(e.target.value)} />
+        </FilterLabel>
+        <FilterLabel>
+          {t('toDate')}
+          <input type="date" value={toDate} min={fromDate || undefined} onChange={e => setToDate(e.target.value)} />
+        </FilterLabel>
+        <ExportButton disabled={!entries || filteredEntries.length === 0} onClick={exportCSV}>
+          {t('exportCSV')}
+        </ExportButton>
+      </Filters>
+      <Wrapper>
+        {error && <Message error>{t('historyReadFailed')}</Message>}
+        {!entries ? (
+          !error && <Message>{t('loadingHistory')}</Message>
+        ) : filteredEntries.length === 0 ? (
+          <Message>{t('noHistory')}</Message>
+        ) : (
+          filteredEntries.map(entry => {
+            const { hash, type, timestamp, legs, recipient, gasCost } = entry
+            const rate = getRate(entry)
+            const gasCostUSD = getGasCostUSD(gasCost)
+            const tokenAddress = legs.map(({ currency }) => currency).find(currency => currency !== 'ETH')
+            const [input, output] = legs
+
+            return (
+              <Entry key={hash}>
+                <EntryHeader>
+                  <TokenLogo address={tokenAddress} size={'1.5rem'} />
+                  <EntryTitle>
+                    {getTypeLabel(type)} <Faded>{new Date(timestamp * 1000).toLocaleString()}</Faded>
+                  </EntryTitle>
+                  <Link href={getEtherscanLink(networkId, hash, 'transaction')}>↗</Link>
+                </EntryHeader>
+                <EntryDetails>
+                  {legs.map(leg => (
+                    <DetailRow key={leg.currency}>
+                      {getDirectionLabel(leg.direction)}
+                      <span>{formatAmount(leg)}</span>
+                    </DetailRow>
+                  ))}
+                  {rate !== null && (
+                    <DetailRow>
+                      {t('exchangeRate')}
+                      <span>
+                        1 {allTokens[input.currency].symbol} = {rate >= 1 ? rate.toFixed(4) : rate.toPrecision(4)}{' '}
+                        {allTokens[output.currency].symbol}
+                      </span>
+                    </DetailRow>
+                  )}
+                  {recipient && (
+                    <DetailRow>
+                      {t('recipient')}
+                      <Link href={getEtherscanLink(networkId, recipient, 'address')}>{shortenAddress(recipient)}</Link>
+                    </DetailRow>
+                  )}
+                  <DetailRow>
+                    {t('gasCost')}
+                    <span>
+                      {amountFormatter(gasCost, 18, 6)} ETH
+                      {gasCostUSD &&
+                        ` (${t('atCurrentPrice', {
+                          value: gasCostUSD.lt(0.01) ? '<$0.01' : `$${formatToUsd(gasCostUSD)}`
+                        })})`}
+                    </span>
+                  </DetailRow>
+                </EntryDetails>
+              </Entry>
+            )
+          })
+        )}
+      </Wrapper>
+      <BackLink to="/portfolio">{t('backToPortfolio')}</BackLink>
+    </>
+  )
+}
@@ -4,12 +4,14 @@ import { useWeb3Context } from 'web3-react'
 import { createBrowserHistory } from 'history'
 import { ethers } from 'ethers'
 import ReactGA from 'react-ga'
+import { withRouter } from 'react-router'
 import styled from 'styled-components'
 
 import { Button } from '../../theme'
 import CurrencyInputPanel from '../../components/CurrencyInputPanel'
 import OversizedPanel from '../../components/OversizedPanel'
 import ContextualInfo from '../../components/ContextualInfo'
+import TransactionPreviewModal from '../../components/TransactionPreviewModal'
 import { ReactComponent as Plus } from '../../assets/images/plus-blue.svg'
 
 import { useExchangeContract } from '../../hooks'
@@ -19,20 +21,12 @@ import { useTransactionAdder } from '../../contexts/Transactions'
 import { useTokenDetails } from '../../contexts/Tokens'
 import { useFetchAllBalances } from '../../contexts/AllBalances'
 import { useAddressBalance, useExchangeReserves } from '../../contexts/Balances'
-import { useAddressAllowance } from '../../contexts/Allowances'
+import { useApprovalRequired } from '../../contexts/Allowances'
+import { useUserSettingsManager } from '../../contexts/LocalStorage'
 
 const INPUT = 0
 const OUTPUT = 1
 
-// denominated in bips
-const ALLOWED_SLIPPAGE = ethers.utils.bigNumberify(200)
-
-// denominated in seconds
-const DEADLINE_FROM_NOW = 60 * 15
-
-// denominated in bips
-const GAS_MARGIN = ethers.utils.bigNumberify(1000)
-
 const BlueSpan = styled.span`
   color: ${({ theme }) => theme.royalBlue};
 `
@@ -106,9 +100,9 @@ const ColoredWrappedPlus = styled(WrappedPlus)`
   }
 `
 
-function calculateSlippageBounds(value) {
+function calculateSlippageBounds(value, allowedSlippage) {
   if (value) {
-    const offset = value.mul(ALLOWED_SLIPPAGE).div(ethers.utils.bigNumberify(10000))
+    const offset = value.mul(allowedSlippage).div(ethers.utils.bigNumberify(10000))
     const minimum = value.sub(offset)
     const maximum = value.add(offset)
     return {
@@ -120,9 +114,9 @@ function calculateSlippageBounds(value) {
   }
 }
 
-function calculateMaxOutputVal(value) {
+function calculateMaxOutputVal(value, allowedSlippage) {
   if (value) {
-    return value.mul(ethers.utils.bigNumberify(10000)).div(ALLOWED_SLIPPAGE.add(ethers.utils.bigNumberify(10000)))
+    return value.mul(ethers.utils.bigNumberify(10000)).div(allowedSlippage.add(ethers.utils.bigNumberify(10000)))
   }
 }
 
@@ -199,10 +193,13 @@ function getMarketRate(reserveETH, reserveToken, decimals, invert = false) {
   return getExchangeRate(reserveETH, 18, reserveToken, decimals, invert)
 }
 
-export default function AddLiquidity({ params }) {
+function AddLiquidity({ location, params }) {
   const { t } = useTranslation()
   const { library, active, account } = useWeb3Context()
 
+  const [{ slippage, deadline: deadlineFromNow, gasMargin }] = useUserSettingsManager()
+  const allowedSlippage = ethers.utils.bigNumberify(slippage)
+
   // clear url of query
   useEffect(() => {
     const history = createBrowserHistory()
@@ -211,7 +208,11 @@ export default function AddLiquidity({ params }) {
 
   const [addLiquidityState, dispatchAddLiquidityState] = useReducer(
     addLiquidityStateReducer,
-    { ethAmountURL: params.ethAmount, tokenAmountURL: params.tokenAmount, tokenURL: params.token },
+    {
+      ethAmountURL: params.ethAmount,
+      tokenAmountURL: params.tokenAmount,
+      tokenURL: params.token || (location.state && location.state.tokenAddress)
+    },
     initialAddLiquidityState
   )
   const { inputValue, outputValue, lastEditedField, outputCurrency } = addLiquidityState
@@ -288,8 +289,8 @@ export default function AddLiquidity({ params }) {
       ? exchangeTokenBalance.mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18))).div(totalPoolTokens)
       : undefined
 
-  const outputValueMax = outputValueParsed && calculateSlippageBounds(outputValueParsed).maximum
-  const liquidityTokensMin = liquidityMinted && calculateSlippageBounds(liquidityMinted).minimum
+  const outputValueMax = outputValueParsed && calculateSlippageBounds(outputValueParsed, allowedSlippage).maximum
+  const liquidityTokensMin = liquidityMinted && calculateSlippageBounds(liquidityMinted, allowedSlippage).minimum
 
   const marketRate = useMemo(() => {
     return getMarketRate(reserveETH, reserveToken, decimals)
@@ -383,38 +384,49 @@ export default function AddLiquidity({ params }) {
 
   const addTransaction = useTransactionAdder()
 
-  async function onAddLiquidity() {
+  // deposits are simulated and previewed before they're sent
+  const [previewCall, setPreviewCall] = useState(null)
+
+  function onAddLiquidity() {
     ReactGA.event({
       category: 'Pool',
       action: 'AddLiquidity'
     })
 
-    const deadline = Math.ceil(Date.now() / 1000) + DEADLINE_FROM_NOW
-
-    const estimatedGasLimit = await exchangeContract.estimate.addLiquidity(
-      isNewExchange ? ethers.constants.Zero : liquidityTokensMin,
-      isNewExchange ? outputValueParsed : outputValueMax,
-      deadline,
-      {
-        value: inputValueParsed
-      }
-    )
+    const deadline = Math.ceil(Date.now() / 1000) + deadlineFromNow
 
-    const gasLimit = calculateGasMargin(estimatedGasLimit, GAS_MARGIN)
-
-    exchangeContract
-      .addLiquidity(
+    setPreviewCall({
+      methodName: 'addLiquidity',
+      args: [
         isNewExchange ? ethers.constants.Zero : liquidityTokensMin,
         isNewExchange ? outputValueParsed : outputValueMax,
-        deadline,
-        {
-          value: inputValueParsed,
-          gasLimit
-        }
-      )
-      .then(response => {
-        addTransaction(response)
-      })
+        deadline
+      ],
+      value: inputValueParsed
+    })
+  }
+
+  async function submitAddLiquidity({ methodName, args, value }) {
+    const estimatedGasLimit = await exchangeContract.estimate[methodName](...args, { value })
+
+    const gasLimit = calculateGasMargin(estimatedGasLimit, ethers.utils.bigNumberify(gasMargin))
+
+    exchangeContract[methodName](...args, { value, gasLimit }).then(response => {
+      addTransaction(response, { liquidity: { tokenAddress: outputCurrency, exchangeAddress } })
+    })
+  }
+
+  // addLiquidity returns the pool tokens minted, and deposits no more than the maximum token amount
+  function getAddLiquidityOutcome([liquidityMinted]) {
+    const [, maxTokens] = previewCall.args
+    return [
+      { label: t('simulatedEthDeposit'), value: `${amountFormatter(previewCall.value, 18, 4)} ETH` },
+      {
+        label: t('simulatedTokenDeposit', { symbol }),
+        value: `${amountFormatter(maxTokens, decimals, Math.min(4, decimals))} ${symbol}`
+      },
+      { label: t('simulatedPoolTokensMinted'), value: amountFormatter(liquidityMinted, 18, 4) }
+    ]
   }
 
   function formatBalance(value) {
@@ -550,11 +562,13 @@ export default function AddLiquidity({ params }) {
     }
   }, [inputValueParsed, inputBalance, outputValueMax, outputBalance, t])
 
-  const allowance = useAddressAllowance(account, outputCurrency, exchangeAddress)
+  // the most tokens the deposit can take, which is what an exact approval covers
+  const tokensRequired = isNewExchange ? outputValueParsed : outputValueMax
+  const approvalRequired = useApprovalRequired(account, outputCurrency, exchangeAddress, tokensRequired)
   const [showUnlock, setShowUnlock] = useState(false)
   useEffect(() => {
-    if (outputValueParsed && allowance) {
-      if (allowance.lt(outputValueParsed)) {
+    if (approvalRequired !== undefined) {
+      if (approvalRequired) {
         setOutputError(t('unlockTokenCont'))
         setShowUnlock(true)
       }
@@ -563,7 +577,7 @@ export default function AddLiquidity({ params }) {
         setShowUnlock(false)
       }
     }
-  }, [outputValueParsed, allowance, t])
+  }, [approvalRequired, t])
 
   const isActive = active && account
   const isValid = (inputError === null || outputError === null) && !showUnlock && !brokenTokenWarning
@@ -629,7 +643,12 @@ export default function AddLiquidity({ params }) {
             dispatchAddLiquidityState({
               type: 'UPDATE_VALUE',
               payload: {
-                value: amountFormatter(calculateMaxOutputVal(outputBalance), decimals, decimals, false),
+                value: amountFormatter(
+                  calculateMaxOutputVal(outputBalance, allowedSlippage),
+                  decimals,
+                  decimals,
+                  false
+                ),
                 field: OUTPUT
               }
             })
@@ -637,6 +656,7 @@ export default function AddLiquidity({ params }) {
         }}
         value={outputValue}
         showUnlock={showUnlock}
+        unlockAmount={tokensRequired}
         errorMessage={outputError}
       />
       <OversizedPanel hideBottom>
@@ -674,6 +694,14 @@ export default function AddLiquidity({ params }) {
         </SummaryPanel>
       </OversizedPanel>
       {renderSummary()}
+      <TransactionPreviewModal
+        title={t('reviewAddLiquidity')}
+        contract={exchangeContract}
+        call={previewCall}
+        getOutcome={getAddLiquidityOutcome}
+        onConfirm={submitAddLiquidity}
+        onDismiss={() => setPreviewCall(null)}
+      />
       <Flex>
         <Button disabled={!isValid} onClick={onAddLiquidity}>
           {t('addLiquidity')}
@@ -682,3 +710,5 @@ export default function AddLiquidity({ params }) {
     </>
   )
 }
+
+export default withRouter(AddLiquidity)
@@ -26,6 +26,11 @@ const poolTabOrder = [
     path: '/create-exchange',
     textKey: 'createExchange',
     regex: /\/create-exchange.*/
+  },
+  {
+    path: '/positions',
+    textKey: 'yourPositions',
+    regex: /\/positions/
   }
 ]
 
@@ -0,0 +1,235 @@
+import React from 'react'
+import { Link } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+import { darken } from 'polished'
+import { BigNumber } from '@uniswap/sdk'
+import { ethers } from 'ethers'
+
+import TokenLogo from '../../components/TokenLogo'
+import { amountFormatter, formatToUsd } from '../../utils'
+import { getPoolShare, getReservePerPoolToken, getRedeemableAmount, getLiquidityReturns } from '../../utils/liquidity'
+import { useAllTokenDetails } from '../../contexts/Tokens'
+import { useLiquidityPositions, useLiquidityHistory } from '../../contexts/LiquidityPositions'
+import { useUSDPrice } from '../../contexts/Application'
+
+const Wrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  border-radius: 1.25rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  background-color: ${({ theme }) => theme.inputBackground};
+  overflow: hidden;
+`
+
+const Position = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  padding: 1rem 1.5rem;
+  border-top: 1px solid ${({ theme }) => theme.mercuryGray};
+
+  :first-child {
+    border-top: none;
+  }
+`
+
+const PositionHeader = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  font-weight: 500;
+`
+
+const PositionSymbol = styled.span`
+  flex: 1 1 auto;
+  margin-left: 0.75rem;
+`
+
+const PositionDetails = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  padding-top: 0.75rem;
+  font-size: 0.875rem;
+  color: ${({ theme }) => theme.doveGray};
+  font-variant: tabular-nums;
+`
+
+const DetailRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  padding: 0.125rem 0;
+`
+
+const NetReturn = styled.span`
+  color: ${({ theme, negative }) => (negative ? theme.salmonRed : theme.connectedGreen)};
+`
+
+const Actions = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  padding-top: 0.75rem;
+  justify-content: flex-end;
+`
+
+const ActionLink = styled(Link)`
+  margin-left: 0.5rem;
+  padding: 0.25rem 0.75rem;
+  border-radius: 1rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  font-size: 0.75rem;
+  text-decoration: none;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+`
+
+const Message = styled.div`
+  padding: 1.5rem;
+  text-align: center;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+// the amounts a position could be redeemed for right now, the same as removing all of its liquidity
+function getPositionDetails({ poolTokenBalance, totalPoolTokens, reserveETH, reserveToken }) {
+  const ethAmount = getRedeemableAmount(getReservePerPoolToken(reserveETH, totalPoolTokens), poolTokenBalance)
+  const tokenAmount = getRedeemableAmount(getReservePerPoolToken(reserveToken, totalPoolTokens), poolTokenBalance)
+  // the tokens are valued at the exchange's own price
+  const ethValue =
+    ethAmount && tokenAmount && !reserveToken.isZero()
+      ? ethAmount.add(tokenAmount.mul(reserveETH).div(reserveToken))
+      : undefined
+
+  return { poolShare: getPoolShare(poolTokenBalance, totalPoolTokens), ethAmount, tokenAmount, ethValue }
+}
+
+function formatSignedETH(value) {
+  return `${value.lt(ethers.constants.Zero) ? '-' : '+'}${amountFormatter(value.abs(), 18, 4)} ETH`
+}
+
+function formatPercentOf(value, total) {
+  return `${amountFormatter(
+    value
+      .mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18)))
+      .div(total)
+      .abs(),
+    16,
+    2
+  )}%`
+}
+
+function LiquidityReturns({ tokenAddress, position }) {
+  const { t } = useTranslation()
+
+  const changes = useLiquidityHistory(tokenAddress)
+  const { poolTokenBalance, totalPoolTokens, reserveETH, reserveToken } = position
+  const returns = getLiquidityReturns(changes, poolTokenBalance, totalPoolTokens, reserveETH, reserveToken)
+
+  if (!returns || returns.holdValue.isZero()) {
+    return (
+      <PositionDetails>
+        <DetailRow>{t('noLiquidityHistory')}</DetailRow>
+      </PositionDetails>
+    )
+  }
+
+  const { trackedPoolTokens, holdValue, poolValue, impermanentLoss, fees } = returns
+  const netReturn = poolValue.sub(holdValue)
+
+  return (
+    <PositionDetails>
+      <DetailRow>
+        {t('valueIfHeld')}
+        <span>{amountFormatter(holdValue, 18, 4)} ETH</span>
+      </DetailRow>
+      <DetailRow>
+        {t('impermanentLoss')}
+        <span>
+          {formatSignedETH(ethers.constants.Zero.sub(impermanentLoss))} ({formatPercentOf(impermanentLoss, holdValue)})
+        </span>
+      </DetailRow>
+      <DetailRow>
+        {t('feesEarned')}
+        <span>
+          {formatSignedETH(fees)} ({formatPercentOf(fees, holdValue)})
+        </span>
+      </DetailRow>
+      <DetailRow>
+        {t('netReturnVsHolding')}
+        <NetReturn negative={netReturn.lt(ethers.constants.Zero)}>
+          {formatSignedETH(netReturn)} ({formatPercentOf(netReturn, holdValue)})
+        </NetReturn>
+      </DetailRow>
+      {trackedPoolTokens.lt(poolTokenBalance) && (
+        <DetailRow>
+          {t('partiallyTrackedPosition', { percent: formatPercentOf(trackedPoolTokens, poolTokenBalance) })}
+        </DetailRow>
+      )}
+    </PositionDetails>
+  )
+}
+
+export default function Positions() {
+  const { t } = useTranslation()
+  const { account } = useWeb3Context()
+
+  const allTokens = useAllTokenDetails()
+  const positions = useLiquidityPositions()
+  // BigNumber.js instance
+  const ethPrice = useUSDPrice()
+
+  if (!account) {
+    return <Message>{t('connectToViewPositions')}</Message>
+  } else if (!positions) {
+    return <Message>{t('loading')}</Message>
+  } else if (Object.keys(positions).length === 0) {
+    return <Message>{t('noPositions')}</Message>
+  }
+
+  const positionDetails = Object.keys(positions)
+    .filter(tokenAddress => allTokens[tokenAddress])
+    .map(tokenAddress => ({ tokenAddress, ...getPositionDetails(positions[tokenAddress]) }))
+    .sort((a, b) => (a.ethValue && b.ethValue ? (b.ethValue.gt(a.ethValue) ? 1 : -1) : 0))
+
+  return (
+    <Wrapper>
+      {positionDetails.map(({ tokenAddress, poolShare, ethAmount, tokenAmount, ethValue }) => {
+        const { symbol, decimals } = allTokens[tokenAddress]
+        const usdValue =
+          ethValue && ethPrice
+            ? new BigNumber(ethValue.toString()).div(new BigNumber(10).pow(18)).times(ethPrice)
+            : null
+
+        return (
+          <Position key={tokenAddress}>
+            <PositionHeader>
+              <TokenLogo address={tokenAddress} size={'1.5rem'} />
+              <PositionSymbol>{symbol}/ETH</PositionSymbol>
+              {usdValue ? (usdValue.lt(0.01) ? '<$0.01' : `$${formatToUsd(usdValue)}`) : '-'}
+            </PositionHeader>
+            <PositionDetails>
+              <DetailRow>
+                {t('yourPoolShare')}
+                <span>{poolShare ? `${amountFormatter(poolShare, 16, 4)}%` : '-'}</span>
+              </DetailRow>
+              <DetailRow>
+                {t('pooledETH')}
+                <span>{ethAmount ? `${amountFormatter(ethAmount, 18, 4)} ETH` : '-'}</span>
+              </DetailRow>
+              <DetailRow>
+                {t('pooledToken', { symbol })}
+                <span>
+                  {tokenAmount ? `${amountFormatter(tokenAmount, decimals, Math.min(4, decimals))} ${symbol}` : '-'}
+                </span>
+              </DetailRow>
+            </PositionDetails>
+            <LiquidityReturns tokenAddress={tokenAddress} position={positions[tokenAddress]} />
+            <Actions>
+              <ActionLink to={`/add-liquidity/${tokenAddress}`}>{t('addLiquidity')}</ActionLink>
+              <ActionLink to={`/remove-liquidity/${tokenAddress}`}>{t('removeLiquidity')}</ActionLink>
+            </Actions>
+          </Position>
+        )
+      })}
+    </Wrapper>
+  )
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react'
 import { useTranslation } from 'react-i18next'
 import ReactGA from 'react-ga'
+import { withRouter } from 'react-router'
 import { createBrowserHistory } from 'history'
 import { useWeb3Context } from 'web3-react'
 import { ethers } from 'ethers'
@@ -9,6 +10,7 @@ import styled from 'styled-components'
 import { Button } from '../../theme'
 import CurrencyInputPanel from '../../components/CurrencyInputPanel'
 import ContextualInfo from '../../components/ContextualInfo'
+import TransactionPreviewModal from '../../components/TransactionPreviewModal'
 import OversizedPanel from '../../components/OversizedPanel'
 import ArrowDown from '../../assets/svg/SVGArrowDown'
 
@@ -17,16 +19,9 @@ import { useTransactionAdder } from '../../contexts/Transactions'
 import { useTokenDetails } from '../../contexts/Tokens'
 import { useAddressBalance } from '../../contexts/Balances'
 import { useFetchAllBalances } from '../../contexts/AllBalances'
+import { useUserSettingsManager } from '../../contexts/LocalStorage'
 import { calculateGasMargin, amountFormatter } from '../../utils'
-
-// denominated in bips
-const ALLOWED_SLIPPAGE = ethers.utils.bigNumberify(200)
-
-// denominated in seconds
-const DEADLINE_FROM_NOW = 60 * 15
-
-// denominated in bips
-const GAS_MARGIN = ethers.utils.bigNumberify(1000)
+import { getPoolShare, getReservePerPoolToken, getRedeemableAmount } from '../../utils/liquidity'
 
 const BlueSpan = styled.span`
   color: ${({ theme }) => theme.royalBlue};
@@ -128,9 +123,9 @@ function getMarketRate(reserveETH, reserveToken, decimals, invert = false) {
   return getExchangeRate(reserveETH, 18, reserveToken, decimals, invert)
 }
 
-function calculateSlippageBounds(value) {
+function calculateSlippageBounds(value, allowedSlippage) {
   if (value) {
-    const offset = value.mul(ALLOWED_SLIPPAGE).div(ethers.utils.bigNumberify(10000))
+    const offset = value.mul(allowedSlippage).div(ethers.utils.bigNumberify(10000))
     const minimum = value.sub(offset)
     const maximum = value.add(offset)
     return {
@@ -142,19 +137,24 @@ function calculateSlippageBounds(value) {
   }
 }
 
-export default function RemoveLiquidity({ params }) {
+function RemoveLiquidity({ location, params }) {
   const { library, account, active } = useWeb3Context()
   const { t } = useTranslation()
 
   const addTransaction = useTransactionAdder()
 
+  const [{ slippage, deadline: deadlineFromNow, gasMargin }] = useUserSettingsManager()
+  const allowedSlippage = ethers.utils.bigNumberify(slippage)
+
   // clear url of query
   useEffect(() => {
     const history = createBrowserHistory()
     history.push(window.location.pathname + '')
   }, [])
 
-  const [outputCurrency, setOutputCurrency] = useState(params.poolTokenAddress)
+  const [outputCurrency, setOutputCurrency] = useState(
+    params.poolTokenAddress || (location.state && location.state.tokenAddress)
+  )
   const [value, setValue] = useState(params.poolTokenAmount ? params.poolTokenAmount : '')
   const [inputError, setInputError] = useState()
   const [valueParsed, setValueParsed] = useState()
@@ -195,10 +195,7 @@ export default function RemoveLiquidity({ params }) {
 
   const exchange = useExchangeContract(exchangeAddress)
 
-  const ownershipPercentage =
-    poolTokenBalance && totalPoolTokens && !totalPoolTokens.isZero()
-      ? poolTokenBalance.mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18))).div(totalPoolTokens)
-      : undefined
+  const ownershipPercentage = getPoolShare(poolTokenBalance, totalPoolTokens)
   const ownershipPercentageFormatted = ownershipPercentage && amountFormatter(ownershipPercentage, 16, 4)
 
   const ETHOwnShare =
@@ -210,26 +207,16 @@ export default function RemoveLiquidity({ params }) {
     ownershipPercentage &&
     exchangeTokenBalance.mul(ownershipPercentage).div(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18)))
 
-  const ETHPer =
-    exchangeETHBalance && totalPoolTokens && !totalPoolTokens.isZero()
-      ? exchangeETHBalance.mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18))).div(totalPoolTokens)
-      : undefined
-  const tokenPer =
-    exchangeTokenBalance && totalPoolTokens && !totalPoolTokens.isZero()
-      ? exchangeTokenBalance.mul(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18))).div(totalPoolTokens)
-      : undefined
-
-  const ethWithdrawn =
-    ETHPer && valueParsed
-      ? ETHPer.mul(valueParsed).div(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18)))
-      : undefined
-  const tokenWithdrawn =
-    tokenPer && valueParsed
-      ? tokenPer.mul(valueParsed).div(ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18)))
-      : undefined
-
-  const ethWithdrawnMin = ethWithdrawn ? calculateSlippageBounds(ethWithdrawn).minimum : undefined
-  const tokenWithdrawnMin = tokenWithdrawn ? calculateSlippageBounds(tokenWithdrawn).minimum : undefined
+  const ETHPer = getReservePerPoolToken(exchangeETHBalance, totalPoolTokens)
+  const tokenPer = getReservePerPoolToken(exchangeTokenBalance, totalPoolTokens)
+
+  const ethWithdrawn = getRedeemableAmount(ETHPer, valueParsed)
+  const tokenWithdrawn = getRedeemableAmount(tokenPer, valueParsed)
+
+  const ethWithdrawnMin = ethWithdrawn ? calculateSlippageBounds(ethWithdrawn, allowedSlippage).minimum : undefined
+  const tokenWithdrawnMin = tokenWithdrawn
+    ? calculateSlippageBounds(tokenWithdrawn, allowedSlippage).minimum
+    : undefined
 
   const fetchPoolTokens = useCallback(() => {
     if (exchange) {
@@ -247,28 +234,43 @@ export default function RemoveLiquidity({ params }) {
     }
   }, [fetchPoolTokens, library])
 
-  async function onRemoveLiquidity() {
+  // withdrawals are simulated and previewed before they're sent
+  const [previewCall, setPreviewCall] = useState(null)
+
+  function onRemoveLiquidity() {
     ReactGA.event({
       category: 'Pool',
       action: 'RemoveLiquidity'
     })
 
-    const deadline = Math.ceil(Date.now() / 1000) + DEADLINE_FROM_NOW
+    const deadline = Math.ceil(Date.now() / 1000) + deadlineFromNow
 
-    const estimatedGasLimit = await exchange.estimate.removeLiquidity(
-      valueParsed,
-      ethWithdrawnMin,
-      tokenWithdrawnMin,
-      deadline
-    )
+    setPreviewCall({
+      methodName: 'removeLiquidity',
+      args: [valueParsed, ethWithdrawnMin, tokenWithdrawnMin, deadline]
+    })
+  }
 
-    exchange
-      .removeLiquidity(valueParsed, ethWithdrawnMin, tokenWithdrawnMin, deadline, {
-        gasLimit: calculateGasMargin(estimatedGasLimit, GAS_MARGIN)
-      })
-      .then(response => {
-        addTransaction(response)
-      })
+  async function submitRemoveLiquidity({ methodName, args }) {
+    const estimatedGasLimit = await exchange.estimate[methodName](...args)
+
+    exchange[methodName](...args, {
+      gasLimit: calculateGasMargin(estimatedGasLimit, ethers.utils.bigNumberify(gasMargin))
+    }).then(response => {
+      addTransaction(response, { liquidity: { tokenAddress: outputCurrency, exchangeAddress } })
+    })
+  }
+
+  // removeLiquidity returns the ETH and tokens withdrawn
+  function getRemoveLiquidityOutcome([ethAmount, tokenAmount]) {
+    return [
+      { label: t('simulatedPoolTokensBurned'), value: amountFormatter(previewCall.args[0], 18, 4) },
+      { label: t('simulatedEthWithdrawal'), value: `${amountFormatter(ethAmount, 18, 4)} ETH` },
+      {
+        label: t('simulatedTokenWithdrawal', { symbol }),
+        value: `${amountFormatter(tokenAmount, decimals, Math.min(4, decimals))} ${symbol}`
+      }
+    ]
   }
 
   const b = text => <BlueSpan>{text}</BlueSpan>
@@ -423,6 +425,14 @@ export default function RemoveLiquidity({ params }) {
         </SummaryPanel>
       </OversizedPanel>
       {renderSummary()}
+      <TransactionPreviewModal
+        title={t('reviewRemoveLiquidity')}
+        contract={exchange}
+        call={previewCall}
+        getOutcome={getRemoveLiquidityOutcome}
+        onConfirm={submitRemoveLiquidity}
+        onDismiss={() => setPreviewCall(null)}
+      />
       <Flex>
         <Button disabled={!isValid} onClick={onRemoveLiquidity}>
           {t('removeLiquidity')}
@@ -431,3 +441,5 @@ export default function RemoveLiquidity({ params }) {
     </>
   )
 }
+
+export default withRouter(RemoveLiquidity)
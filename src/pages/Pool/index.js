@@ -6,6 +6,7 @@ import ModeSelector from './ModeSelector'
 const AddLiquidity = lazy(() => import('./AddLiquidity'))
 const RemoveLiquidity = lazy(() => import('./RemoveLiquidity'))
 const CreateExchange = lazy(() => import('./CreateExchange'))
+const Positions = lazy(() => import('./Positions'))
 
 export default function Pool({ params }) {
   useEffect(() => {
@@ -27,6 +28,23 @@ export default function Pool({ params }) {
           <Route exact strict path="/add-liquidity" component={AddLiquidityParams} />
           <Route exact strict path="/remove-liquidity" component={RemoveLiquidityParams} />
           <Route exact strict path="/create-exchange" component={CreateExchangeParams} />
+          <Route exact strict path="/positions" component={Positions} />
+          <Route
+            path="/add-liquidity/:tokenAddress"
+            render={({ match }) => {
+              return (
+                <Redirect to={{ pathname: '/add-liquidity', state: { tokenAddress: match.params.tokenAddress } }} />
+              )
+            }}
+          />
+          <Route
+            path="/remove-liquidity/:tokenAddress"
+            render={({ match }) => {
+              return (
+                <Redirect to={{ pathname: '/remove-liquidity', state: { tokenAddress: match.params.tokenAddress } }} />
+              )
+            }}
+          />
           <Route
             path="/create-exchange/:tokenAddress"
             render={({ match }) => {
@@ -0,0 +1,206 @@
+import React, { useEffect, useMemo } from 'react'
+import ReactGA from 'react-ga'
+import { Link } from 'react-router-dom'
+import { useTranslation } from 'react-i18next'
+import { useWeb3Context } from 'web3-react'
+import styled from 'styled-components'
+import { darken } from 'polished'
+import { BigNumber } from '@uniswap/sdk'
+
+import TokenLogo from '../../components/TokenLogo'
+import { formatToUsd, formatTokenBalance, formatEthBalance } from '../../utils'
+import { useAllTokenDetails } from '../../contexts/Tokens'
+import { useFetchAllBalances } from '../../contexts/AllBalances'
+import { useUSDPrice } from '../../contexts/Application'
+
+const Wrapper = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  border-radius: 1.25rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  background-color: ${({ theme }) => theme.inputBackground};
+  overflow: hidden;
+`
+
+const TotalRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  justify-content: space-between;
+  align-items: center;
+  padding: 1rem 1.5rem;
+  background-color: ${({ theme }) => theme.concreteGray};
+  font-weight: 500;
+`
+
+const TotalValue = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  align-items: flex-end;
+`
+
+const HoldingRow = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  align-items: center;
+  padding: 1rem 1.5rem;
+  border-top: 1px solid ${({ theme }) => theme.mercuryGray};
+`
+
+const HoldingName = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  flex: 1 1 auto;
+  margin-left: 1rem;
+  min-width: 0;
+`
+
+const HoldingValues = styled.div`
+  ${({ theme }) => theme.flexColumnNoWrap}
+  align-items: flex-end;
+  text-align: right;
+  font-variant: tabular-nums;
+`
+
+const Faded = styled.span`
+  font-size: 0.75rem;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+const Actions = styled.div`
+  ${({ theme }) => theme.flexRowNoWrap}
+  margin-left: 1rem;
+`
+
+const ActionLink = styled(Link)`
+  margin-left: 0.5rem;
+  padding: 0.25rem 0.75rem;
+  border-radius: 1rem;
+  border: 1px solid ${({ theme }) => theme.mercuryGray};
+  font-size: 0.75rem;
+  text-decoration: none;
+  color: ${({ theme }) => theme.royalBlue};
+
+  :hover,
+  :focus {
+    color: ${({ theme }) => darken(0.1, theme.royalBlue)};
+    border-color: ${({ theme }) => darken(0.1, theme.mercuryGray)};
+  }
+`
+
+const HistoryLink = styled(Link)`
+  display: block;
+  margin-top: 1rem;
+  text-align: center;
+  font-size: 0.875rem;
+  text-decoration: none;
+  color: ${({ theme }) => theme.royalBlue};
+`
+
+const Message = styled.div`
+  padding: 1.5rem;
+  text-align: center;
+  color: ${({ theme }) => theme.doveGray};
+`
+
+function formatUSD(value) {
+  return value.lt(0.01) ? '<$0.01' : `$${formatToUsd(value)}`
+}
+
+function formatShare(share) {
+  return share.lt(0.01) ? '<0.01%' : `${share.toFixed(2)}%`
+}
+
+export default function Portfolio() {
+  const { t } = useTranslation()
+  const { account } = useWeb3Context()
+
+  useEffect(() => {
+    ReactGA.pageview(window.location.pathname + window.location.search)
+  }, [])
+
+  const allTokens = useAllTokenDetails()
+  const allBalances = useFetchAllBalances(true)
+  // BigNumber.js instance
+  const ethPrice = useUSDPrice()
+
+  // every non-zero holding by descending value, holdings without a price have no value and go last
+  const holdings = useMemo(() => {
+    return Object.keys(allBalances || {})
+      .filter(k => {
+        const { balance } = allBalances[k]
+        return allTokens[k] && balance && !balance.isZero()
+      })
+      .map(k => {
+        const { balance, ethRate } = allBalances[k]
+        const { symbol, name, decimals } = allTokens[k]
+        const ethValue =
+          ethRate && !ethRate.isNaN()
+            ? new BigNumber(balance.toString()).times(ethRate).div(new BigNumber(10).pow(decimals))
+            : null
+        return {
+          address: k,
+          symbol,
+          name,
+          amount: k === 'ETH' ? formatEthBalance(balance) : formatTokenBalance(balance, decimals),
+          ethValue,
+          usdValue: ethValue && ethPrice ? ethValue.times(ethPrice) : null
+        }
+      })
+      .sort((a, b) =>
+        a.ethValue && b.ethValue ? b.ethValue.comparedTo(a.ethValue) : a.ethValue ? -1 : b.ethValue ? 1 : 0
+      )
+  }, [allBalances, allTokens, ethPrice])
+
+  const totalEthValue = holdings.reduce(
+    (total, { ethValue }) => (ethValue ? total.plus(ethValue) : total),
+    new BigNumber(0)
+  )
+
+  if (!account) {
+    return <Message>{t('connectToViewPortfolio')}</Message>
+  } else if (!allBalances) {
+    return <Message>{t('loading')}</Message>
+  }
+
+  return (
+    <>
+      <Wrapper>
+        <TotalRow>
+          {t('totalValue')}
+          <TotalValue>
+            <span>{ethPrice ? formatUSD(totalEthValue.times(ethPrice)) : '-'}</span>
+            <Faded>{totalEthValue.toFixed(4)} ETH</Faded>
+          </TotalValue>
+        </TotalRow>
+        {holdings.length === 0 ? (
+          <Message>{t('noHoldings')}</Message>
+        ) : (
+          holdings.map(({ address, symbol, name, amount, ethValue, usdValue }) => {
+            // the held asset is what gets swapped or sent
+            const search = address === 'ETH' ? '' : `?inputCurrency=${address}`
+            return (
+              <HoldingRow key={address}>
+                <TokenLogo address={address} size={'2rem'} />
+                <HoldingName>
+                  <span>
+                    {amount} {symbol}
+                  </span>
+                  <Faded>{name}</Faded>
+                </HoldingName>
+                <HoldingValues>
+                  <span>{usdValue ? formatUSD(usdValue) : '-'}</span>
+                  <Faded>
+                    {ethValue && !totalEthValue.isZero()
+                      ? `${ethValue.toFixed(4)} ETH · ${formatShare(ethValue.div(totalEthValue).times(100))}`
+                      : t('noPrice')}
+                  </Faded>
+                </HoldingValues>
+                <Actions>
+                  <ActionLink to={{ pathname: '/swap', search }}>{t('swap')}</ActionLink>
+                  <ActionLink to={{ pathname: '/send', search }}>{t('send')}</ActionLink>
+                </Actions>
+              </HoldingRow>
+            )
+          })
+        )}
+      </Wrapper>
+      <HistoryLink to="/history">{t('transactionHistory')}</HistoryLink>
+      <HistoryLink to="/allowances">{t('tokenAllowances')}</HistoryLink>
+    </>
+  )
+}
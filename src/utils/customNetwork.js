@@ -0,0 +1,30 @@
+import { ethers } from 'ethers'
+
+// the local storage key the LocalStorage context persists its state under, and the key of the custom network in it.
+// they live here rather than in the context so that constants can read the custom network without importing it
+export const LOCAL_STORAGE_KEY = 'UNISWAP'
+export const CUSTOM_NETWORK = 'CUSTOM_NETWORK'
+
+// { chainId, url, factoryAddress }, as set up in the settings
+export function isCustomNetwork(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false
+  }
+
+  try {
+    ethers.utils.getAddress(value.factoryAddress.toLowerCase())
+  } catch {
+    return false
+  }
+  return Number.isInteger(value.chainId) && value.chainId > 0 && typeof value.url === 'string'
+}
+
+// the custom network stored by the LocalStorage context, or null if there's none or it's invalid
+export function getStoredCustomNetwork() {
+  try {
+    const { [CUSTOM_NETWORK]: customNetwork } = JSON.parse(window.localStorage.getItem(LOCAL_STORAGE_KEY)) || {}
+    return isCustomNetwork(customNetwork) ? customNetwork : null
+  } catch {
+    return null
+  }
+}
@@ -0,0 +1,50 @@
+import { LOCAL_STORAGE_KEY, isCustomNetwork, getStoredCustomNetwork } from './customNetwork'
+
+const CUSTOM_NETWORK = {
+  chainId: 1337,
+  url: 'http://localhost:8545',
+  factoryAddress: '0xc0a47dFe034B400B47bDaD5FecDa2621de6c4d95'
+}
+
+afterEach(() => {
+  window.localStorage.clear()
+})
+
+describe('isCustomNetwork', () => {
+  it('accepts a chain id, url and factory address', () => {
+    expect(isCustomNetwork(CUSTOM_NETWORK)).toBe(true)
+    expect(isCustomNetwork({ ...CUSTOM_NETWORK, factoryAddress: CUSTOM_NETWORK.factoryAddress.toLowerCase() })).toBe(
+      true
+    )
+  })
+
+  it('rejects anything else', () => {
+    expect(isCustomNetwork(null)).toBe(false)
+    expect(isCustomNetwork([])).toBe(false)
+    expect(isCustomNetwork({ ...CUSTOM_NETWORK, chainId: 0 })).toBe(false)
+    expect(isCustomNetwork({ ...CUSTOM_NETWORK, chainId: '1337' })).toBe(false)
+    expect(isCustomNetwork({ ...CUSTOM_NETWORK, url: undefined })).toBe(false)
+    expect(isCustomNetwork({ ...CUSTOM_NETWORK, factoryAddress: '0x1234' })).toBe(false)
+    expect(isCustomNetwork({ ...CUSTOM_NETWORK, factoryAddress: undefined })).toBe(false)
+  })
+})
+
+describe('getStoredCustomNetwork', () => {
+  it('reads the custom network saved by the LocalStorage context', () => {
+    window.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify({ CUSTOM_NETWORK }))
+    expect(getStoredCustomNetwork()).toEqual(CUSTOM_NETWORK)
+  })
+
+  it('returns null when nothing valid is stored', () => {
+    expect(getStoredCustomNetwork()).toBe(null)
+    window.localStorage.setItem(LOCAL_STORAGE_KEY, 'not json')
+    expect(getStoredCustomNetwork()).toBe(null)
+    window.localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify({ CUSTOM_NETWORK: null }))
+    expect(getStoredCustomNetwork()).toBe(null)
+    window.localStorage.setItem(
+      LOCAL_STORAGE_KEY,
+      JSON.stringify({ CUSTOM_NETWORK: { ...CUSTOM_NETWORK, chainId: -1 } })
+    )
+    expect(getStoredCustomNetwork()).toBe(null)
+  })
+})
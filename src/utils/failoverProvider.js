@@ -0,0 +1,186 @@
+import * as ethers from 'ethers'
+
+// how often every endpoint's latency and block height are checked
+const HEALTH_CHECK_INTERVAL = 15 * 1000
+// endpoints that take longer than this to answer a check are treated as down
+const HEALTH_CHECK_TIMEOUT = 5 * 1000
+// endpoints further than this behind the highest block any endpoint has seen are lagging
+const MAX_BLOCK_LAG = 3
+// how much the latest check counts towards an endpoint's average latency
+const LATENCY_WEIGHT = 0.3
+
+// the JSON-RPC error code nodes use for rate limits
+const LIMIT_EXCEEDED = -32005
+
+function withTimeout(promise, milliseconds) {
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(Error(`Timed out after ${milliseconds}ms.`)), milliseconds))
+  ])
+}
+
+// whether an error came from reaching the endpoint, rather than from a node answering that e.g. a call reverted,
+// which every other endpoint would answer the same way
+function isEndpointError(error) {
+  return !error || typeof error.code !== 'number' || error.code === LIMIT_EXCEEDED
+}
+
+/**
+ * A provider that sends each request to one of several endpoints, all on the same network. Endpoints are checked
+ * periodically, and the one in use is kept while it's healthy, i.e. answering and keeping up with the highest block
+ * seen. Otherwise, or as soon as a request to it fails, requests fail over to the healthy endpoint with the lowest
+ * latency. endpoints is [{ name, provider }].
+ */
+export default class FailoverProvider extends ethers.providers.BaseProvider {
+  constructor(endpoints, network) {
+    if (endpoints.length === 0) {
+      throw Error('No endpoints.')
+    }
+
+    super(ethers.utils.getNetwork(network))
+    ethers.utils.defineReadOnly(
+      this,
+      'endpoints',
+      endpoints.map(({ name, provider }) => ({
+        name,
+        provider,
+        healthy: true,
+        latency: null,
+        blockNumber: null,
+        failures: 0,
+        error: null
+      }))
+    )
+    this._currentIndex = 0
+    this._healthListeners = []
+
+    this.checkHealth()
+    this._healthCheckInterval = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL)
+  }
+
+  stopHealthChecks() {
+    clearInterval(this._healthCheckInterval)
+  }
+
+  async checkHealth() {
+    await Promise.all(
+      this.endpoints.map(async endpoint => {
+        const start = Date.now()
+        try {
+          const blockNumber = await withTimeout(endpoint.provider.perform('getBlockNumber', {}), HEALTH_CHECK_TIMEOUT)
+          const latency = Date.now() - start
+          endpoint.latency =
+            endpoint.latency === null
+              ? latency
+              : Math.round(LATENCY_WEIGHT * latency + (1 - LATENCY_WEIGHT) * endpoint.latency)
+          endpoint.blockNumber = ethers.utils.bigNumberify(blockNumber).toNumber()
+          endpoint.failures = 0
+          endpoint.error = null
+        } catch (error) {
+          endpoint.failures++
+          endpoint.error = error.message
+        }
+      })
+    )
+
+    const highestBlockNumber = Math.max(...this.endpoints.map(({ blockNumber }) => blockNumber || 0))
+    this.endpoints.forEach(endpoint => {
+      endpoint.healthy = endpoint.failures === 0 && highestBlockNumber - endpoint.blockNumber <= MAX_BLOCK_LAG
+    })
+
+    this._selectEndpoint()
+  }
+
+  _selectEndpoint() {
+    if (!this.endpoints[this._currentIndex].healthy) {
+      // fall back to whichever has failed least recently when none are healthy
+      const [best] = this._getOrderedIndexes()
+      this._currentIndex = best
+    }
+
+    const health = this.getHealth()
+    this._healthListeners.forEach(listener => listener(health))
+  }
+
+  // the endpoint in use first, then the healthy ones by latency, then the rest by how often they've failed in a row
+  _getOrderedIndexes() {
+    return this.endpoints
+      .map((_, i) => i)
+      .sort((a, b) => {
+        const [endpointA, endpointB] = [this.endpoints[a], this.endpoints[b]]
+        if (a === this._currentIndex && endpointA.healthy) {
+          return -1
+        } else if (b === this._currentIndex && endpointB.healthy) {
+          return 1
+        } else if (endpointA.healthy !== endpointB.healthy) {
+          return endpointA.healthy ? -1 : 1
+        } else if (endpointA.healthy) {
+          return (endpointA.latency || 0) - (endpointB.latency || 0)
+        } else {
+          return endpointA.failures - endpointB.failures
+        }
+      })
+  }
+
+  // sends a request with each endpoint that can take it in turn, until one answers or fails with an error that every
+  // other endpoint would answer the same way
+  async _send(request, canSend = () => true) {
+    let firstError
+    const orderedIndexes = this._getOrderedIndexes()
+    for (let position = 0; position < orderedIndexes.length; position++) {
+      const endpoint = this.endpoints[orderedIndexes[position]]
+      if (!canSend(endpoint.provider)) {
+        continue
+      }
+
+      try {
+        return await request(endpoint.provider)
+      } catch (error) {
+        if (!isEndpointError(error)) {
+          throw error
+        }
+
+        firstError = firstError || error
+        endpoint.failures++
+        endpoint.error = error.message
+        endpoint.healthy = false
+        this._selectEndpoint()
+      }
+    }
+    throw firstError || Error('No endpoint can send this request.')
+  }
+
+  perform(method, params) {
+    return this._send(provider => provider.perform(method, params))
+  }
+
+  // posts a JSON-RPC batch to an endpoint that takes them, i.e. one with a url rather than e.g. Etherscan, and returns
+  // the responses. rejects if there's no such endpoint or none of them answer
+  sendBatch(payload) {
+    return this._send(
+      provider => ethers.utils.fetchJson(provider.connection, JSON.stringify(payload)),
+      provider => !!(provider.connection && provider.connection.url)
+    )
+  }
+
+  // returns [{ name, healthy, current, latency, blockNumber, failures, error }] for every endpoint
+  getHealth() {
+    return this.endpoints.map(({ name, healthy, latency, blockNumber, failures, error }, i) => ({
+      name,
+      healthy,
+      current: i === this._currentIndex,
+      latency,
+      blockNumber,
+      failures,
+      error
+    }))
+  }
+
+  // calls listener with the health of every endpoint after each check or failure, returns a function to unsubscribe
+  onHealthChange(listener) {
+    this._healthListeners.push(listener)
+    return () => {
+      this._healthListeners = this._healthListeners.filter(l => l !== listener)
+    }
+  }
+}
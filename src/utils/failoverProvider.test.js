@@ -0,0 +1,177 @@
+import { ethers } from 'ethers'
+
+import FailoverProvider from './failoverProvider'
+
+// a stand-in for a JSON-RPC provider at the given block, whose other requests are answered by perform
+function stubEndpoint(name, blockNumber, perform = () => Promise.resolve('0x')) {
+  return {
+    name,
+    provider: {
+      connection: { url: `https://${name}` },
+      blockNumber,
+      perform: jest.fn(function(method, params) {
+        if (method === 'getBlockNumber') {
+          return this.blockNumber === null
+            ? Promise.reject(Error('connection refused'))
+            : Promise.resolve(this.blockNumber)
+        }
+        return perform(method, params)
+      })
+    }
+  }
+}
+
+function rpcError(code, message) {
+  const error = Error(message)
+  error.code = code
+  return error
+}
+
+let provider
+async function createProvider(endpoints) {
+  provider = new FailoverProvider(endpoints, 1)
+  await provider.checkHealth()
+  return provider
+}
+
+function getCurrent() {
+  return provider.getHealth().find(({ current }) => current).name
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+  if (provider) {
+    provider.stopHealthChecks()
+    provider = null
+  }
+})
+
+describe('FailoverProvider', () => {
+  it('sends requests to the first endpoint while it is healthy', async () => {
+    const first = stubEndpoint('first', 100, () => Promise.resolve('0x1'))
+    const second = stubEndpoint('second', 100, () => Promise.resolve('0x2'))
+    await createProvider([first, second])
+
+    expect(await provider.perform('getGasPrice', {})).toBe('0x1')
+    expect(getCurrent()).toBe('first')
+  })
+
+  it('fails over when an endpoint cannot be reached', async () => {
+    const first = stubEndpoint('first', 100, () => Promise.reject(Error('connection refused')))
+    const second = stubEndpoint('second', 100, () => Promise.resolve('0x2'))
+    await createProvider([first, second])
+
+    expect(await provider.perform('getGasPrice', {})).toBe('0x2')
+    expect(getCurrent()).toBe('second')
+    expect(provider.getHealth()[0]).toMatchObject({ healthy: false, failures: 1, error: 'connection refused' })
+  })
+
+  it('fails over when an endpoint is rate limited', async () => {
+    const first = stubEndpoint('first', 100, () => Promise.reject(rpcError(-32005, 'limit exceeded')))
+    const second = stubEndpoint('second', 100, () => Promise.resolve('0x2'))
+    await createProvider([first, second])
+
+    expect(await provider.perform('getGasPrice', {})).toBe('0x2')
+    expect(getCurrent()).toBe('second')
+  })
+
+  it('rethrows errors answered by the node without failing over', async () => {
+    const first = stubEndpoint('first', 100, () => Promise.reject(rpcError(-32000, 'execution reverted')))
+    const second = stubEndpoint('second', 100, () => Promise.resolve('0x2'))
+    await createProvider([first, second])
+
+    await expect(provider.perform('call', {})).rejects.toThrow('execution reverted')
+    expect(second.provider.perform).not.toHaveBeenCalledWith('call', {})
+    expect(getCurrent()).toBe('first')
+    expect(provider.getHealth()[0]).toMatchObject({ healthy: true, failures: 0 })
+  })
+
+  it('rethrows the first error when every endpoint is down', async () => {
+    const first = stubEndpoint('first', 100, () => Promise.reject(Error('first is down')))
+    const second = stubEndpoint('second', 100, () => Promise.reject(Error('second is down')))
+    await createProvider([first, second])
+
+    await expect(provider.perform('getGasPrice', {})).rejects.toThrow('first is down')
+    expect(provider.getHealth().every(({ healthy }) => !healthy)).toBe(true)
+  })
+
+  it('drops endpoints that lag behind on a health check and tells listeners', async () => {
+    const first = stubEndpoint('first', 100)
+    const second = stubEndpoint('second', 100)
+    await createProvider([first, second])
+
+    const listener = jest.fn()
+    const unsubscribe = provider.onHealthChange(listener)
+
+    first.provider.blockNumber = 100
+    second.provider.blockNumber = 110
+    await provider.checkHealth()
+
+    expect(listener).toHaveBeenCalledTimes(1)
+    const [health] = listener.mock.calls[0]
+    expect(health[0]).toMatchObject({ name: 'first', healthy: false, current: false, blockNumber: 100 })
+    expect(health[1]).toMatchObject({ name: 'second', healthy: true, current: true, blockNumber: 110 })
+
+    unsubscribe()
+    await provider.checkHealth()
+    expect(listener).toHaveBeenCalledTimes(1)
+  })
+
+  it('keeps the endpoint in use while it is healthy, even if another is faster', async () => {
+    const first = stubEndpoint('first', 100)
+    const second = stubEndpoint('second', 100)
+    await createProvider([first, second])
+
+    provider.endpoints[0].latency = 500
+    provider.endpoints[1].latency = 10
+    await provider.checkHealth()
+
+    expect(getCurrent()).toBe('first')
+  })
+
+  it('drops endpoints that fail a health check', async () => {
+    const first = stubEndpoint('first', 100)
+    const second = stubEndpoint('second', 100)
+    await createProvider([first, second])
+
+    first.provider.blockNumber = null
+    await provider.checkHealth()
+
+    expect(getCurrent()).toBe('second')
+    expect(provider.getHealth()[0]).toMatchObject({ healthy: false, error: 'connection refused' })
+  })
+
+  describe('sendBatch', () => {
+    it('posts batches to the first endpoint with a url, failing over when it cannot be reached', async () => {
+      const etherscan = stubEndpoint('etherscan', 100)
+      delete etherscan.provider.connection
+      const first = stubEndpoint('first', 100)
+      const second = stubEndpoint('second', 100)
+      await createProvider([etherscan, first, second])
+
+      const fetchJson = jest
+        .spyOn(ethers.utils, 'fetchJson')
+        .mockImplementation(({ url }) =>
+          url === 'https://first'
+            ? Promise.reject(Error('connection refused'))
+            : Promise.resolve([{ id: 0, result: '0x1' }])
+        )
+
+      expect(await provider.sendBatch([{ jsonrpc: '2.0', id: 0, method: 'eth_blockNumber', params: [] }])).toEqual([
+        { id: 0, result: '0x1' }
+      ])
+      expect(fetchJson.mock.calls.map(([{ url }]) => url)).toEqual(['https://first', 'https://second'])
+      expect(getCurrent()).toBe('etherscan')
+      expect(provider.getHealth()[0]).toMatchObject({ healthy: true, failures: 0 })
+      expect(provider.getHealth()[1]).toMatchObject({ healthy: false, failures: 1 })
+    })
+
+    it('rejects when no endpoint takes batches', async () => {
+      const etherscan = stubEndpoint('etherscan', 100)
+      delete etherscan.provider.connection
+      await createProvider([etherscan])
+
+      await expect(provider.sendBatch([])).rejects.toThrow('No endpoint can send this request.')
+    })
+  })
+})
@@ -234,6 +234,22 @@ export async function getTokenExchangeAddressFromFactory(tokenAddress, networkId
   return getFactoryContract(networkId, library).getExchange(tokenAddress)
 }
 
+// binary searches for the first block mined at or after timestamp, up to latestBlockNumber
+export async function getFirstBlockSince(timestamp, latestBlockNumber, library) {
+  let low = 0
+  let high = latestBlockNumber
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+    const block = await library.getBlock(middle)
+    if (block.timestamp < timestamp) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
 // get the ether balance of an address
 export async function getEtherBalance(address, library) {
   if (!isAddress(address)) {
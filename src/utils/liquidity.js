@@ -0,0 +1,146 @@
+import { ethers } from 'ethers'
+import EXCHANGE_ABI from '../constants/abis/exchange'
+
+const ONE = ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18))
+
+// share of an exchange's pool tokens held, as an 18 decimal fraction
+export function getPoolShare(poolTokenBalance, totalPoolTokens) {
+  return poolTokenBalance && totalPoolTokens && !totalPoolTokens.isZero()
+    ? poolTokenBalance.mul(ONE).div(totalPoolTokens)
+    : undefined
+}
+
+// amount of an exchange's reserve that each pool token can be redeemed for, scaled by 10^18
+export function getReservePerPoolToken(reserve, totalPoolTokens) {
+  return reserve && totalPoolTokens && !totalPoolTokens.isZero() ? reserve.mul(ONE).div(totalPoolTokens) : undefined
+}
+
+// amount of an exchange's reserve that poolTokenAmount can be redeemed for
+export function getRedeemableAmount(reservePerPoolToken, poolTokenAmount) {
+  return reservePerPoolToken && poolTokenAmount ? reservePerPoolToken.mul(poolTokenAmount).div(ONE) : undefined
+}
+
+export const LIQUIDITY_CHANGE_TYPES = {
+  ADD: 'ADD',
+  REMOVE: 'REMOVE'
+}
+
+const EXCHANGE_INTERFACE = new ethers.utils.Interface(EXCHANGE_ABI)
+
+// reads the pool tokens minted or burned and the amounts deposited or withdrawn by a liquidity transaction's receipt,
+// or returns null if it didn't change liquidity in the exchange
+export function parseLiquidityChange(receipt, exchangeAddress) {
+  let change = null
+  let poolTokens = ethers.constants.Zero
+
+  ;(receipt.logs || [])
+    .filter(log => log.address.toLowerCase() === exchangeAddress.toLowerCase())
+    .forEach(log => {
+      let event
+      try {
+        event = EXCHANGE_INTERFACE.parseLog(log)
+      } catch {}
+      if (!event) {
+        return
+      }
+
+      if (event.name === 'AddLiquidity' || event.name === 'RemoveLiquidity') {
+        change = {
+          type: event.name === 'AddLiquidity' ? LIQUIDITY_CHANGE_TYPES.ADD : LIQUIDITY_CHANGE_TYPES.REMOVE,
+          ethAmount: event.values.eth_amount,
+          tokenAmount: event.values.token_amount
+        }
+      } else if (event.name === 'Transfer') {
+        // pool tokens are minted from and burned to the zero address
+        if (event.values._from === ethers.constants.AddressZero || event.values._to === ethers.constants.AddressZero) {
+          poolTokens = poolTokens.add(event.values._value)
+        }
+      }
+    })
+
+  return change && { ...change, poolTokens }
+}
+
+function sqrt(value) {
+  if (value.lt(ethers.utils.bigNumberify(2))) {
+    return value
+  }
+
+  let x = value
+  let y = value.add(ethers.constants.One).div(ethers.utils.bigNumberify(2))
+  while (y.lt(x)) {
+    x = y
+    y = value
+      .div(x)
+      .add(x)
+      .div(ethers.utils.bigNumberify(2))
+  }
+  return x
+}
+
+/**
+ * Compares a position with holding what was deposited into it, given its liquidity changes in order as
+ * { type, poolTokens, ethAmount, tokenAmount }. Withdrawals reduce the deposits in proportion to the pool tokens burned.
+ * Only pool tokens that were minted by the changes are compared, if the balance has been added to in some other way.
+ * All values are in wei at the exchange's current price, or the result is undefined if nothing can be compared:
+ * - holdValue: the deposits if they had been held instead
+ * - poolValue: what the pool tokens can be redeemed for now
+ * - impermanentLoss: how much less the deposits would be worth in the pool than held, if the pool earned no fees
+ * - fees: how much the pool's fees have added on top of that
+ */
+export function getLiquidityReturns(changes, poolTokenBalance, totalPoolTokens, reserveETH, reserveToken) {
+  if (!poolTokenBalance || !totalPoolTokens || !reserveETH || !reserveToken || reserveToken.isZero()) {
+    return undefined
+  }
+
+  const deposited = changes.reduce(
+    (accumulator, { type, poolTokens, ethAmount, tokenAmount }) => {
+      if (type === LIQUIDITY_CHANGE_TYPES.ADD) {
+        return {
+          poolTokens: accumulator.poolTokens.add(poolTokens),
+          ethAmount: accumulator.ethAmount.add(ethAmount),
+          tokenAmount: accumulator.tokenAmount.add(tokenAmount)
+        }
+      } else if (accumulator.poolTokens.isZero()) {
+        return accumulator
+      } else {
+        const burned = poolTokens.gt(accumulator.poolTokens) ? accumulator.poolTokens : poolTokens
+        return {
+          poolTokens: accumulator.poolTokens.sub(burned),
+          ethAmount: accumulator.ethAmount.sub(accumulator.ethAmount.mul(burned).div(accumulator.poolTokens)),
+          tokenAmount: accumulator.tokenAmount.sub(accumulator.tokenAmount.mul(burned).div(accumulator.poolTokens))
+        }
+      }
+    },
+    { poolTokens: ethers.constants.Zero, ethAmount: ethers.constants.Zero, tokenAmount: ethers.constants.Zero }
+  )
+  if (deposited.poolTokens.isZero() || poolTokenBalance.isZero()) {
+    return undefined
+  }
+
+  // pool tokens that were transferred away take their share of the deposits with them
+  const trackedPoolTokens = poolTokenBalance.lt(deposited.poolTokens) ? poolTokenBalance : deposited.poolTokens
+  const ethDeposited = deposited.ethAmount.mul(trackedPoolTokens).div(deposited.poolTokens)
+  const tokenDeposited = deposited.tokenAmount.mul(trackedPoolTokens).div(deposited.poolTokens)
+
+  const ethRedeemable = getRedeemableAmount(getReservePerPoolToken(reserveETH, totalPoolTokens), trackedPoolTokens)
+  const tokenRedeemable = getRedeemableAmount(getReservePerPoolToken(reserveToken, totalPoolTokens), trackedPoolTokens)
+
+  const holdValue = ethDeposited.add(tokenDeposited.mul(reserveETH).div(reserveToken))
+  const poolValue = ethRedeemable.add(tokenRedeemable.mul(reserveETH).div(reserveToken))
+  // without fees the deposits keep their product as the price moves, so they'd be worth 2 * sqrt(product * price)
+  const feelessValue = sqrt(
+    ethDeposited
+      .mul(tokenDeposited)
+      .mul(reserveETH)
+      .div(reserveToken)
+  ).mul(ethers.utils.bigNumberify(2))
+
+  return {
+    trackedPoolTokens,
+    holdValue,
+    poolValue,
+    impermanentLoss: holdValue.sub(feelessValue),
+    fees: poolValue.sub(feelessValue)
+  }
+}
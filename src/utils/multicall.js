@@ -0,0 +1,189 @@
+import { ethers } from 'ethers'
+
+import ERC20_ABI from '../constants/abis/erc20'
+import MULTICALL_ABI from '../constants/abis/multicall'
+import { MULTICALL_ADDRESSES } from '../constants'
+import { isAddress } from '.'
+
+const ERC20_INTERFACE = new ethers.utils.Interface(ERC20_ABI)
+const MULTICALL_INTERFACE = new ethers.utils.Interface(MULTICALL_ABI)
+
+// keeps each aggregated call well under the gas limit nodes put on eth_call
+const MAX_CALLS_PER_AGGREGATE = 500
+
+// the reads waiting to be sent for each library, keyed so that the same read made twice is only sent once
+const pendingReads = new WeakMap()
+
+// sends requests to the node as a single JSON-RPC batch, through the wallet or the network connector's endpoints, falling
+// back to one request each where neither can batch. returns the results in order, as { result } or { error }
+async function sendBatch(library, requests) {
+  const payload = requests.map(({ method, params }, id) => ({ jsonrpc: '2.0', id, method, params }))
+
+  let responses
+  const web3Provider = library._web3Provider
+  if (web3Provider && web3Provider.sendAsync) {
+    responses = await new Promise((resolve, reject) => {
+      web3Provider.sendAsync(payload, (error, responses) => (error ? reject(error) : resolve(responses)))
+    })
+  } else if (library.sendBatch) {
+    // the failover provider counts failures against its endpoints, and rejects when none of them can take a batch,
+    // in which case the requests are sent one at a time, which it can send anywhere
+    responses = await library.sendBatch(payload).catch(() => null)
+  }
+
+  if (Array.isArray(responses)) {
+    return requests.map((_, i) => {
+      const response = responses.find(({ id }) => id === i)
+      return response && response.result !== undefined
+        ? { result: response.result }
+        : { error: Error((response && response.error && response.error.message) || 'No response.') }
+    })
+  }
+
+  return Promise.all(
+    requests.map(({ method, params }) =>
+      (method === 'eth_getBalance' ? library.getBalance(params[0]) : library.call(params[0])).then(
+        result => ({ result }),
+        error => ({ error })
+      )
+    )
+  )
+}
+
+// reads with one eth_call to the network's Multicall contract, which reverts if any of the reads do
+async function aggregate(library, multicallAddress, reads) {
+  const calls = reads.map(read =>
+    read.address
+      ? [multicallAddress, MULTICALL_INTERFACE.functions.getEthBalance.encode([read.address])]
+      : [read.to, read.data]
+  )
+  const result = await library.call({
+    to: multicallAddress,
+    data: MULTICALL_INTERFACE.functions.aggregate.encode([calls])
+  })
+  const [, returnData] = MULTICALL_INTERFACE.functions.aggregate.decode(result)
+  return returnData.map(data => ({ result: data }))
+}
+
+// ether balances are read as { address } and contract calls as { to, data }, all returning a uint256
+async function executeReads(library, networkId, reads) {
+  const multicallAddress = MULTICALL_ADDRESSES[networkId]
+
+  const results = []
+  for (let i = 0; i < reads.length; i += MAX_CALLS_PER_AGGREGATE) {
+    const chunk = reads.slice(i, i + MAX_CALLS_PER_AGGREGATE)
+
+    let chunkResults
+    if (multicallAddress) {
+      chunkResults = await aggregate(library, multicallAddress, chunk).catch(() => null)
+    }
+    // reads that revert, e.g. on tokens that aren't quite ERC20s, fail on their own in a batch
+    if (!chunkResults) {
+      chunkResults = await sendBatch(
+        library,
+        chunk.map(read =>
+          read.address
+            ? { method: 'eth_getBalance', params: [read.address, 'latest'] }
+            : { method: 'eth_call', params: [{ to: read.to, data: read.data }, 'latest'] }
+        )
+      )
+    }
+    results.push(...chunkResults)
+  }
+  return results
+}
+
+function flush(library, networkId) {
+  const queued = pendingReads.get(library)
+  pendingReads.delete(library)
+
+  const keys = Object.keys(queued)
+  executeReads(library, networkId, keys.map(key => queued[key].read))
+    .then(results => {
+      results.forEach(({ result, error }, i) => {
+        const { read, resolve, reject } = queued[keys[i]]
+        if (error || result === '0x') {
+          reject(error || Error('Empty response.'))
+        } else {
+          try {
+            // balances come back as quantities and calls as uint256 return data
+            resolve(ethers.utils.bigNumberify(read.address ? result : ethers.utils.hexDataSlice(result, 0, 32)))
+          } catch (error) {
+            reject(error)
+          }
+        }
+      })
+    })
+    .catch(error => {
+      keys.forEach(key => queued[key].reject(error))
+    })
+}
+
+// queues a read to be sent along with every other read made in the same tick, which covers all of the effects run
+// for a new block
+function scheduleRead(library, networkId, read) {
+  if (!pendingReads.has(library)) {
+    pendingReads.set(library, {})
+    setTimeout(() => flush(library, networkId))
+  }
+
+  const queued = pendingReads.get(library)
+  const key = read.address ? `balance:${read.address}` : `call:${read.to}:${read.data}`
+  if (!queued[key]) {
+    let resolve, reject
+    const promise = new Promise((_resolve, _reject) => {
+      resolve = _resolve
+      reject = _reject
+    })
+    queued[key] = { read, promise, resolve, reject }
+  }
+  return queued[key].promise
+}
+
+// get the ether balance of an address, batched with other reads
+export async function getBatchedEtherBalance(address, library, networkId) {
+  if (!isAddress(address)) {
+    throw Error(`Invalid 'address' parameter '${address}'`)
+  }
+
+  return scheduleRead(library, networkId, { address })
+}
+
+// get the token balance of an address, batched with other reads
+export async function getBatchedTokenBalance(tokenAddress, address, library, networkId) {
+  if (!isAddress(tokenAddress) || !isAddress(address)) {
+    throw Error(`Invalid 'tokenAddress' or 'address' parameter '${tokenAddress}' or '${address}'.`)
+  }
+
+  return scheduleRead(library, networkId, {
+    to: tokenAddress,
+    data: ERC20_INTERFACE.functions.balanceOf.encode([address])
+  })
+}
+
+// get the total supply of a token, batched with other reads
+export async function getBatchedTotalSupply(tokenAddress, library, networkId) {
+  if (!isAddress(tokenAddress)) {
+    throw Error(`Invalid 'tokenAddress' parameter '${tokenAddress}'.`)
+  }
+
+  return scheduleRead(library, networkId, {
+    to: tokenAddress,
+    data: ERC20_INTERFACE.functions.totalSupply.encode([])
+  })
+}
+
+// get the token allowance, batched with other reads
+export async function getBatchedTokenAllowance(address, tokenAddress, spenderAddress, library, networkId) {
+  if (!isAddress(address) || !isAddress(tokenAddress) || !isAddress(spenderAddress)) {
+    throw Error(
+      "Invalid 'address' or 'tokenAddress' or 'spenderAddress' parameter" +
+        `'${address}' or '${tokenAddress}' or '${spenderAddress}'.`
+    )
+  }
+
+  return scheduleRead(library, networkId, {
+    to: tokenAddress,
+    data: ERC20_INTERFACE.functions.allowance.encode([address, spenderAddress])
+  })
+}
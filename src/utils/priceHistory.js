@@ -0,0 +1,82 @@
+import { ethers } from 'ethers'
+
+// how each exchange event moved the reserves, as [ETH change, token change]
+function getReserveChanges({ name, values }) {
+  switch (name) {
+    case 'TokenPurchase': {
+      return [values.eth_sold, ethers.constants.Zero.sub(values.tokens_bought)]
+    }
+    case 'EthPurchase': {
+      return [ethers.constants.Zero.sub(values.eth_bought), values.tokens_sold]
+    }
+    case 'AddLiquidity': {
+      return [values.eth_amount, values.token_amount]
+    }
+    case 'RemoveLiquidity': {
+      return [ethers.constants.Zero.sub(values.eth_amount), ethers.constants.Zero.sub(values.token_amount)]
+    }
+    default: {
+      return [ethers.constants.Zero, ethers.constants.Zero]
+    }
+  }
+}
+
+/**
+ * Reconstructs the reserves of an exchange over a range of blocks by undoing its events, oldest first, from its current
+ * reserves. Returns [{ blockNumber, reserveETH, reserveToken }] with a point for fromBlock and for every block that
+ * changed the reserves after it.
+ */
+export function getReservesHistory(events, reserveETH, reserveToken, fromBlock) {
+  const history = []
+
+  let currentETH = reserveETH
+  let currentToken = reserveToken
+  for (let i = events.length - 1; i >= 0 && events[i].blockNumber > fromBlock; i--) {
+    // record the reserves as of the end of each block, before undoing its events
+    if (i === events.length - 1 || events[i].blockNumber !== events[i + 1].blockNumber) {
+      history.push({ blockNumber: events[i].blockNumber, reserveETH: currentETH, reserveToken: currentToken })
+    }
+
+    const [ETHChange, tokenChange] = getReserveChanges(events[i])
+    currentETH = currentETH.sub(ETHChange)
+    currentToken = currentToken.sub(tokenChange)
+  }
+  history.push({ blockNumber: fromBlock, reserveETH: currentETH, reserveToken: currentToken })
+
+  return history.reverse()
+}
+
+// the price of a token in ETH for each point of its reserves history, as a float for charting
+export function getPriceSeries(reservesHistory, decimals) {
+  return reservesHistory
+    .filter(
+      ({ reserveETH, reserveToken }) => reserveETH.gt(ethers.constants.Zero) && reserveToken.gt(ethers.constants.Zero)
+    )
+    .map(({ blockNumber, reserveETH, reserveToken }) => ({
+      blockNumber,
+      price: Number(ethers.utils.formatUnits(reserveETH, 18)) / Number(ethers.utils.formatUnits(reserveToken, decimals))
+    }))
+}
+
+// divides one price series by another, with a point wherever either changes
+export function getCrossPriceSeries(numeratorSeries, denominatorSeries) {
+  const blockNumbers = [...new Set([...numeratorSeries, ...denominatorSeries].map(({ blockNumber }) => blockNumber))]
+  blockNumbers.sort((a, b) => a - b)
+
+  let numerator
+  let denominator
+  let i = 0
+  let j = 0
+  return blockNumbers.reduce((series, blockNumber) => {
+    while (i < numeratorSeries.length && numeratorSeries[i].blockNumber <= blockNumber) {
+      numerator = numeratorSeries[i++].price
+    }
+    while (j < denominatorSeries.length && denominatorSeries[j].blockNumber <= blockNumber) {
+      denominator = denominatorSeries[j++].price
+    }
+    if (numerator !== undefined && denominator !== undefined) {
+      series.push({ blockNumber, price: numerator / denominator })
+    }
+    return series
+  }, [])
+}
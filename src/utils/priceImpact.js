@@ -0,0 +1,65 @@
+import { ethers } from 'ethers'
+
+const ONE = ethers.utils.bigNumberify(10).pow(ethers.utils.bigNumberify(18))
+
+export const PRICE_IMPACT_TIERS = {
+  LOW: 'LOW',
+  MEDIUM: 'MEDIUM',
+  HIGH: 'HIGH',
+  SEVERE: 'SEVERE'
+}
+
+// lower bounds of each tier above LOW, as 18 decimal fractions
+const MEDIUM_PRICE_IMPACT = ethers.utils.parseEther('.01')
+const HIGH_PRICE_IMPACT = ethers.utils.parseEther('.03')
+const SEVERE_PRICE_IMPACT = ethers.utils.parseEther('.1')
+
+// how much worse a hop's execution price is than the exchange's mid price, excluding the 0.3% fee, as an 18 decimal
+// fraction
+export function getHopPriceImpact(inputAmount, outputAmount, inputReserve, outputReserve) {
+  const executionValue = outputAmount.mul(inputReserve).mul(ethers.utils.bigNumberify(1000))
+  const midValue = inputAmount.mul(outputReserve).mul(ethers.utils.bigNumberify(997))
+  const impact = ONE.sub(executionValue.mul(ONE).div(midValue))
+  return impact.lt(ethers.constants.Zero) ? ethers.constants.Zero : impact
+}
+
+/**
+ * Calculates the price impact of each hop of a swap, given as { inputAmount, outputAmount, inputReserve, outputReserve },
+ * and of the swap as a whole. Returns undefined if any of the amounts or reserves are missing.
+ */
+export function getPriceImpact(hops) {
+  if (
+    !hops.length ||
+    hops.some(
+      ({ inputAmount, outputAmount, inputReserve, outputReserve }) =>
+        !inputAmount ||
+        !outputAmount ||
+        !inputReserve ||
+        !outputReserve ||
+        inputAmount.isZero() ||
+        outputReserve.isZero()
+    )
+  ) {
+    return undefined
+  }
+
+  const hopImpacts = hops.map(({ inputAmount, outputAmount, inputReserve, outputReserve }) =>
+    getHopPriceImpact(inputAmount, outputAmount, inputReserve, outputReserve)
+  )
+  // impacts compound, the swap keeps (1 - impact) of its value through each hop
+  const retained = hopImpacts.reduce((accumulator, impact) => accumulator.mul(ONE.sub(impact)).div(ONE), ONE)
+
+  return { hopImpacts, priceImpact: ONE.sub(retained) }
+}
+
+export function getPriceImpactTier(priceImpact) {
+  if (!priceImpact || priceImpact.lt(MEDIUM_PRICE_IMPACT)) {
+    return PRICE_IMPACT_TIERS.LOW
+  } else if (priceImpact.lt(HIGH_PRICE_IMPACT)) {
+    return PRICE_IMPACT_TIERS.MEDIUM
+  } else if (priceImpact.lt(SEVERE_PRICE_IMPACT)) {
+    return PRICE_IMPACT_TIERS.HIGH
+  } else {
+    return PRICE_IMPACT_TIERS.SEVERE
+  }
+}
@@ -0,0 +1,75 @@
+import { ethers } from 'ethers'
+
+// this mocks the getInputPrice function, and calculates the required output
+export function calculateEtherTokenOutputFromInput(inputAmount, inputReserve, outputReserve) {
+  const inputAmountWithFee = inputAmount.mul(ethers.utils.bigNumberify(997))
+  const numerator = inputAmountWithFee.mul(outputReserve)
+  const denominator = inputReserve.mul(ethers.utils.bigNumberify(1000)).add(inputAmountWithFee)
+  return numerator.div(denominator)
+}
+
+// this mocks the getOutputPrice function, and calculates the required input
+export function calculateEtherTokenInputFromOutput(outputAmount, inputReserve, outputReserve) {
+  const numerator = inputReserve.mul(outputAmount).mul(ethers.utils.bigNumberify(1000))
+  const denominator = outputReserve.sub(outputAmount).mul(ethers.utils.bigNumberify(997))
+  return numerator.div(denominator).add(ethers.constants.One)
+}
+
+// paths list every currency a trade passes through, e.g. [DAI, 'ETH', MKR], each hop trades in the exchange of its token
+function getHopToken(from, to) {
+  return from === 'ETH' ? to : from
+}
+
+// returns [inputReserve, outputReserve] for a hop, or null if the reserves are unknown
+function getHopReserves(reserves, from, to) {
+  const { reserveETH, reserveToken } = reserves[getHopToken(from, to)] || {}
+
+  if (!reserveETH || !reserveToken || reserveETH.isZero() || reserveToken.isZero()) {
+    return null
+  }
+
+  return from === 'ETH' ? [reserveETH, reserveToken] : [reserveToken, reserveETH]
+}
+
+export function getDirectPath(inputCurrency, outputCurrency) {
+  if (inputCurrency === 'ETH' || outputCurrency === 'ETH') {
+    return [inputCurrency, outputCurrency]
+  } else {
+    return [inputCurrency, 'ETH', outputCurrency]
+  }
+}
+
+/**
+ * Prices a swap along the direct route, which on v1 is the only one worth taking: every exchange trades against ETH,
+ * so any other path reuses the same exchanges plus more. reserves maps token addresses to { reserveETH, reserveToken }.
+ * Returns { path, inputAmount, outputAmount }, or null if the swap can't be filled.
+ */
+export function getDirectTrade(inputCurrency, outputCurrency, amount, exactInput, reserves) {
+  if (!inputCurrency || !outputCurrency || inputCurrency === outputCurrency || !amount || amount.isZero()) {
+    return null
+  }
+
+  const path = getDirectPath(inputCurrency, outputCurrency)
+  const hops = path.slice(1).map((to, i) => getHopReserves(reserves, path[i], to))
+  if (hops.some(hopReserves => !hopReserves)) {
+    return null
+  }
+
+  if (exactInput) {
+    const outputAmount = hops.reduce(
+      (hopAmount, hopReserves) => calculateEtherTokenOutputFromInput(hopAmount, ...hopReserves),
+      amount
+    )
+    return !outputAmount.isZero() ? { path, inputAmount: amount, outputAmount } : null
+  } else {
+    // each exchange is visited once, so the input can be calculated backwards from the output
+    const inputAmount = hops.reduceRight(
+      (hopAmount, [inputReserve, outputReserve]) =>
+        hopAmount && hopAmount.lt(outputReserve)
+          ? calculateEtherTokenInputFromOutput(hopAmount, inputReserve, outputReserve)
+          : null,
+      amount
+    )
+    return inputAmount ? { path, inputAmount, outputAmount: amount } : null
+  }
+}
@@ -0,0 +1,115 @@
+import { ethers } from 'ethers'
+
+import {
+  calculateEtherTokenOutputFromInput,
+  calculateEtherTokenInputFromOutput,
+  getDirectPath,
+  getDirectTrade
+} from './routing'
+
+const DAI = '0x89d24A6b4CcB1B6fAA2625fE562bDD9a23260359'
+const MKR = '0x9f8F72aA9304c8B593d555F12eF6589cC3A579A2'
+
+const ether = value => ethers.utils.parseEther(String(value))
+
+const RESERVES = {
+  [DAI]: { reserveETH: ether(1000), reserveToken: ether(200000) },
+  [MKR]: { reserveETH: ether(500), reserveToken: ether(1000) }
+}
+
+describe('calculateEtherTokenOutputFromInput', () => {
+  it('charges the 0.3% fee', () => {
+    // without the fee 100 in would buy 90.9...
+    expect(calculateEtherTokenOutputFromInput(ether(100), ether(1000), ether(1000))).toEqual(
+      ethers.utils.bigNumberify('90661089388014913158')
+    )
+  })
+})
+
+describe('calculateEtherTokenInputFromOutput', () => {
+  it('rounds the input up, so that it always buys the output', () => {
+    const inputAmount = calculateEtherTokenInputFromOutput(ether(90), ether(1000), ether(1000))
+    expect(calculateEtherTokenOutputFromInput(inputAmount, ether(1000), ether(1000)).gte(ether(90))).toBe(true)
+    expect(
+      calculateEtherTokenOutputFromInput(inputAmount.sub(ethers.constants.One), ether(1000), ether(1000)).lt(ether(90))
+    ).toBe(true)
+  })
+})
+
+describe('getDirectPath', () => {
+  it('trades ETH in a single exchange', () => {
+    expect(getDirectPath('ETH', DAI)).toEqual(['ETH', DAI])
+    expect(getDirectPath(DAI, 'ETH')).toEqual([DAI, 'ETH'])
+  })
+
+  it('trades tokens through ETH', () => {
+    expect(getDirectPath(DAI, MKR)).toEqual([DAI, 'ETH', MKR])
+  })
+})
+
+describe('getDirectTrade', () => {
+  it('prices an exact input through both exchanges', () => {
+    const trade = getDirectTrade(DAI, MKR, ether(2000), true, RESERVES)
+
+    const etherAmount = calculateEtherTokenOutputFromInput(ether(2000), ether(200000), ether(1000))
+    expect(trade).toEqual({
+      path: [DAI, 'ETH', MKR],
+      inputAmount: ether(2000),
+      outputAmount: calculateEtherTokenOutputFromInput(etherAmount, ether(500), ether(1000))
+    })
+  })
+
+  it('prices an exact output backwards through both exchanges', () => {
+    const trade = getDirectTrade(DAI, MKR, ether(10), false, RESERVES)
+
+    const etherAmount = calculateEtherTokenInputFromOutput(ether(10), ether(500), ether(1000))
+    expect(trade).toEqual({
+      path: [DAI, 'ETH', MKR],
+      inputAmount: calculateEtherTokenInputFromOutput(etherAmount, ether(200000), ether(1000)),
+      outputAmount: ether(10)
+    })
+    // the input it asks for fills the output
+    expect(getDirectTrade(DAI, MKR, trade.inputAmount, true, RESERVES).outputAmount.gte(ether(10))).toBe(true)
+  })
+
+  it('prices ETH trades in a single exchange', () => {
+    expect(getDirectTrade('ETH', DAI, ether(1), true, RESERVES)).toEqual({
+      path: ['ETH', DAI],
+      inputAmount: ether(1),
+      outputAmount: calculateEtherTokenOutputFromInput(ether(1), ether(1000), ether(200000))
+    })
+    expect(getDirectTrade(DAI, 'ETH', ether(1), false, RESERVES)).toEqual({
+      path: [DAI, 'ETH'],
+      inputAmount: calculateEtherTokenInputFromOutput(ether(1), ether(200000), ether(1000)),
+      outputAmount: ether(1)
+    })
+  })
+
+  it("returns null for outputs the reserves can't fill", () => {
+    expect(getDirectTrade(DAI, MKR, ether(1000), false, RESERVES)).toBe(null)
+    expect(getDirectTrade(DAI, 'ETH', ether(1000), false, RESERVES)).toBe(null)
+    // buying the MKR would take more ETH than the DAI exchange holds
+    expect(getDirectTrade(DAI, MKR, ether(999), false, RESERVES)).toBe(null)
+  })
+
+  it('returns null without reserves for every exchange on the path', () => {
+    expect(getDirectTrade(DAI, MKR, ether(1), true, { [DAI]: RESERVES[DAI] })).toBe(null)
+    expect(
+      getDirectTrade(DAI, MKR, ether(1), true, {
+        ...RESERVES,
+        [MKR]: { reserveETH: ethers.constants.Zero, reserveToken: ethers.constants.Zero }
+      })
+    ).toBe(null)
+  })
+
+  it('returns null for amounts too small to buy anything', () => {
+    expect(getDirectTrade(DAI, MKR, ethers.constants.One, true, RESERVES)).toBe(null)
+  })
+
+  it('returns null without a trade to price', () => {
+    expect(getDirectTrade(DAI, DAI, ether(1), true, RESERVES)).toBe(null)
+    expect(getDirectTrade(DAI, undefined, ether(1), true, RESERVES)).toBe(null)
+    expect(getDirectTrade(DAI, MKR, undefined, true, RESERVES)).toBe(null)
+    expect(getDirectTrade(DAI, MKR, ethers.constants.Zero, true, RESERVES)).toBe(null)
+  })
+})
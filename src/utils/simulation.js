@@ -0,0 +1,53 @@
+import { ethers } from 'ethers'
+
+// the selector of Error(string), which contracts revert with when given a reason
+const ERROR_SELECTOR = '0x08c379a0'
+
+// the revert data of a failed call, which nodes and wallets nest differently in their errors
+function getRevertData(error) {
+  const data = error && error.data
+  if (typeof data === 'string') {
+    return data
+  } else if (data && typeof data.data === 'string') {
+    return data.data
+  }
+  return null
+}
+
+// the reason a call reverted with, or the node's message when it didn't give one, or null
+export function getRevertReason(error) {
+  const data = getRevertData(error)
+  if (data && ethers.utils.isHexString(data) && data.startsWith(ERROR_SELECTOR)) {
+    try {
+      return ethers.utils.defaultAbiCoder.decode(['string'], `0x${data.slice(ERROR_SELECTOR.length)}`)[0]
+    } catch {}
+  }
+
+  // the exchanges revert without reasons, so this is usually something like 'execution reverted'
+  return (error && error.message) || null
+}
+
+/**
+ * Runs a contract method with eth_call against the latest block, with the same arguments and value it would be sent
+ * with. Returns { outputs } with the decoded return values if it succeeds, or { reason } if it reverts.
+ */
+export async function simulateContractCall(contract, from, methodName, args, value) {
+  const method = contract.interface.functions[methodName]
+
+  let result
+  try {
+    result = await contract.provider.call(
+      { from, to: contract.address, data: method.encode(args), value: value || ethers.constants.Zero },
+      'latest'
+    )
+  } catch (error) {
+    return { reason: getRevertReason(error) }
+  }
+
+  // some nodes return empty data rather than an error when a call reverts
+  try {
+    return { outputs: method.decode(result) }
+  } catch {
+    return { reason: null }
+  }
+}
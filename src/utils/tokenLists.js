@@ -0,0 +1,105 @@
+import { isAddress } from '.'
+
+const MAX_LIST_NAME_LENGTH = 40
+const MAX_TOKENS = 10000
+const MAX_TOKEN_NAME_LENGTH = 40
+const MAX_TOKEN_SYMBOL_LENGTH = 20
+const MAX_DECIMALS = 255
+const MAX_TAGS = 10
+
+function isString(value, maxLength) {
+  return typeof value === 'string' && value.length > 0 && value.length <= maxLength
+}
+
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max
+}
+
+function validateToken(token, index) {
+  const errors = []
+  const prefix = `tokens[${index}]`
+
+  if (!token || typeof token !== 'object') {
+    return [`${prefix} must be an object`]
+  }
+  if (!isInteger(token.chainId, 1, Number.MAX_SAFE_INTEGER)) {
+    errors.push(`${prefix}.chainId must be a positive integer`)
+  }
+  if (!isAddress(token.address)) {
+    errors.push(`${prefix}.address must be an address`)
+  }
+  if (!isString(token.name, MAX_TOKEN_NAME_LENGTH)) {
+    errors.push(`${prefix}.name must be a string of at most ${MAX_TOKEN_NAME_LENGTH} characters`)
+  }
+  if (!isString(token.symbol, MAX_TOKEN_SYMBOL_LENGTH)) {
+    errors.push(`${prefix}.symbol must be a string of at most ${MAX_TOKEN_SYMBOL_LENGTH} characters`)
+  }
+  if (!isInteger(token.decimals, 0, MAX_DECIMALS)) {
+    errors.push(`${prefix}.decimals must be an integer between 0 and ${MAX_DECIMALS}`)
+  }
+  if (token.logoURI !== undefined && typeof token.logoURI !== 'string') {
+    errors.push(`${prefix}.logoURI must be a string`)
+  }
+  if (
+    token.tags !== undefined &&
+    (!Array.isArray(token.tags) || token.tags.length > MAX_TAGS || token.tags.some(tag => typeof tag !== 'string'))
+  ) {
+    errors.push(`${prefix}.tags must be an array of at most ${MAX_TAGS} strings`)
+  }
+  if (token.extensions !== undefined) {
+    if (!token.extensions || typeof token.extensions !== 'object') {
+      errors.push(`${prefix}.extensions must be an object`)
+    } else if (token.extensions.exchangeAddress !== undefined && !isAddress(token.extensions.exchangeAddress)) {
+      errors.push(`${prefix}.extensions.exchangeAddress must be an address`)
+    }
+  }
+
+  return errors
+}
+
+// checks a token list against the token list schema, returning a list of errors that is empty if the list is valid
+export function validateTokenList(list) {
+  if (!list || typeof list !== 'object') {
+    return ['list must be an object']
+  }
+
+  const errors = []
+  if (!isString(list.name, MAX_LIST_NAME_LENGTH)) {
+    errors.push(`name must be a string of at most ${MAX_LIST_NAME_LENGTH} characters`)
+  }
+  if (!Array.isArray(list.tokens) || list.tokens.length > MAX_TOKENS) {
+    return [...errors, `tokens must be an array of at most ${MAX_TOKENS} tokens`]
+  }
+
+  const seen = {}
+  list.tokens.forEach((token, index) => {
+    const tokenErrors = validateToken(token, index)
+    if (tokenErrors.length === 0) {
+      const key = `${token.chainId}-${isAddress(token.address)}`
+      if (seen[key]) {
+        tokenErrors.push(`tokens[${index}] duplicates the token at ${key}`)
+      }
+      seen[key] = true
+    }
+    errors.push(...tokenErrors)
+  })
+
+  return errors
+}
+
+export function fetchTokenList(url) {
+  return fetch(url)
+    .then(response => {
+      if (!response.ok) {
+        throw Error(`Failed to fetch token list from '${url}': ${response.status}.`)
+      }
+      return response.json()
+    })
+    .then(list => {
+      const errors = validateTokenList(list)
+      if (errors.length > 0) {
+        throw Error(`Invalid token list at '${url}': ${errors[0]}.`)
+      }
+      return list
+    })
+}
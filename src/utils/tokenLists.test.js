@@ -0,0 +1,109 @@
+import DEFAULT_TOKEN_LIST from '../../public/tokenlists/default.tokenlist.json'
+import { validateTokenList, fetchTokenList } from './tokenLists'
+
+const DAI = {
+  chainId: 1,
+  address: '0x6B175474E89094C44Da98b954EedeAC495271d0F',
+  name: 'Dai Stablecoin',
+  symbol: 'DAI',
+  decimals: 18
+}
+
+function listOf(...tokens) {
+  return { name: 'Test List', tokens }
+}
+
+describe('validateTokenList', () => {
+  it('accepts the bundled default list', () => {
+    expect(validateTokenList(DEFAULT_TOKEN_LIST)).toEqual([])
+  })
+
+  it('accepts optional fields', () => {
+    expect(
+      validateTokenList(
+        listOf({ ...DAI, logoURI: 'https://example.com/dai.png', tags: ['stablecoin'], extensions: {} })
+      )
+    ).toEqual([])
+  })
+
+  it('rejects lists that are not objects', () => {
+    expect(validateTokenList(null)).toEqual(['list must be an object'])
+    expect(validateTokenList('list')).toEqual(['list must be an object'])
+  })
+
+  it('rejects lists without a name or tokens', () => {
+    expect(validateTokenList({ tokens: [] })).toEqual(['name must be a string of at most 40 characters'])
+    expect(validateTokenList({ name: 'Test List', tokens: {} })).toEqual([
+      'tokens must be an array of at most 10000 tokens'
+    ])
+  })
+
+  it('reports every invalid field of a token', () => {
+    expect(
+      validateTokenList(
+        listOf({
+          chainId: 0,
+          address: '0x1234',
+          name: '',
+          symbol: 'A SYMBOL THAT IS FAR TOO LONG',
+          decimals: 1.5,
+          logoURI: 1,
+          tags: 'stablecoin',
+          extensions: { exchangeAddress: 'nowhere' }
+        })
+      )
+    ).toEqual([
+      'tokens[0].chainId must be a positive integer',
+      'tokens[0].address must be an address',
+      'tokens[0].name must be a string of at most 40 characters',
+      'tokens[0].symbol must be a string of at most 20 characters',
+      'tokens[0].decimals must be an integer between 0 and 255',
+      'tokens[0].logoURI must be a string',
+      'tokens[0].tags must be an array of at most 10 strings',
+      'tokens[0].extensions.exchangeAddress must be an address'
+    ])
+  })
+
+  it('rejects tokens that are not objects', () => {
+    expect(validateTokenList(listOf(DAI, 'DAI'))).toEqual(['tokens[1] must be an object'])
+  })
+
+  it('rejects the same token listed twice on a network, however its address is cased', () => {
+    expect(validateTokenList(listOf(DAI, { ...DAI, address: DAI.address.toLowerCase() }))).toEqual([
+      `tokens[1] duplicates the token at 1-${DAI.address}`
+    ])
+    expect(validateTokenList(listOf(DAI, { ...DAI, chainId: 42 }))).toEqual([])
+  })
+})
+
+describe('fetchTokenList', () => {
+  const originalFetch = global.fetch
+
+  afterEach(() => {
+    global.fetch = originalFetch
+  })
+
+  function mockFetch(ok, status, body) {
+    global.fetch = jest.fn(() => Promise.resolve({ ok, status, json: () => Promise.resolve(body) }))
+  }
+
+  it('resolves valid lists', async () => {
+    mockFetch(true, 200, DEFAULT_TOKEN_LIST)
+    await expect(fetchTokenList('/tokenlists/default.tokenlist.json')).resolves.toBe(DEFAULT_TOKEN_LIST)
+    expect(global.fetch).toHaveBeenCalledWith('/tokenlists/default.tokenlist.json')
+  })
+
+  it('rejects failed requests', async () => {
+    mockFetch(false, 404)
+    await expect(fetchTokenList('/missing.json')).rejects.toThrow(
+      "Failed to fetch token list from '/missing.json': 404."
+    )
+  })
+
+  it('rejects invalid lists with the first error', async () => {
+    mockFetch(true, 200, listOf({ ...DAI, decimals: -1 }))
+    await expect(fetchTokenList('/invalid.json')).rejects.toThrow(
+      "Invalid token list at '/invalid.json': tokens[0].decimals must be an integer between 0 and 255."
+    )
+  })
+})